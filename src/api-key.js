@@ -0,0 +1,238 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { walkDirectory } = require('./sources');
+const { ensureGitignore } = require('./package-manager');
+
+// The public demo space every template ships with
+const DEMO_API_KEY = 'ee9f13b4981e489a9a1209887695ef2b';
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte', '.astro'];
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+// Where markup attributes take expressions in braces
+const BRACE_ATTRIBUTE_EXTENSIONS = ['.jsx', '.tsx', '.svelte', '.astro'];
+// Files where the demo key is expected to stay, e.g. docs mentioning it
+const IGNORED_EXTENSIONS = ['.md', '.mdx'];
+
+const viteEnv = { file: '.env.local', variable: 'VITE_BUILDER_API_KEY', reference: 'import.meta.env.VITE_BUILDER_API_KEY' };
+
+// Where each framework reads the key from, and how code refers to it
+const API_KEY_ENV = {
+  'Next.js': { file: '.env.local', variable: 'NEXT_PUBLIC_BUILDER_API_KEY', reference: 'process.env.NEXT_PUBLIC_BUILDER_API_KEY' },
+  React: viteEnv,
+  Vue: viteEnv,
+  Svelte: viteEnv,
+  SvelteKit: viteEnv,
+  SolidJS: viteEnv,
+  Hydrogen: viteEnv,
+  Qwik: { file: '.env.local', variable: 'PUBLIC_BUILDER_API_KEY', reference: 'import.meta.env.PUBLIC_BUILDER_API_KEY' },
+  Nuxt: { file: '.env', variable: 'NUXT_PUBLIC_BUILDER_API_KEY', reference: 'useRuntimeConfig().public.builderApiKey', runtimeConfigKey: 'builderApiKey' },
+  Remix: { file: '.env', variable: 'BUILDER_API_KEY', reference: 'process.env.BUILDER_API_KEY' },
+  'React Native': { file: '.env.local', variable: 'EXPO_PUBLIC_BUILDER_API_KEY', reference: 'process.env.EXPO_PUBLIC_BUILDER_API_KEY' },
+  // The app imports its environment file, so it stays in git for a clone to build
+  Angular: { file: 'src/environments/environment.ts', property: 'builderApiKey', reference: 'environment.builderApiKey', committed: true },
+};
+
+const DEFAULT_API_KEY_ENV = { file: '.env', variable: 'BUILDER_API_KEY', reference: 'process.env.BUILDER_API_KEY' };
+
+function getApiKeyEnv(framework) {
+  return API_KEY_ENV[framework] || DEFAULT_API_KEY_ENV;
+}
+
+// The quote a string literal open at `index` started with, and where
+function findOpenQuote(line, index) {
+  let open = null;
+  for (let i = 0; i < index; i++) {
+    const char = line[i];
+    if (open) {
+      if (char === '\\') i++;
+      else if (char === open.quote) open = null;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      open = { quote: char, start: i };
+    }
+  }
+  return open;
+}
+
+// Replaces one occurrence of the demo key on a line with a reference to the
+// env variable, or returns null when there is no safe way to do it
+function replaceOccurrence(line, index, { extension, inScript, reference }) {
+  const open = findOpenQuote(line, index);
+  if (!open) {
+    return null;
+  }
+  const end = index + DEMO_API_KEY.length;
+  const isWholeLiteral = open.start === index - 1 && line[end] === open.quote;
+  const isAttribute = line[open.start - 1] === '=' && /[\w-]/.test(line[open.start - 2] || '');
+  const expression = TYPESCRIPT_EXTENSIONS.includes(extension) && reference.startsWith('process.env.') ? `${reference}!` : reference;
+
+  if (isWholeLiteral) {
+    if (isAttribute && BRACE_ATTRIBUTE_EXTENSIONS.includes(extension)) {
+      return `${line.slice(0, open.start)}{${expression}}${line.slice(end + 1)}`;
+    }
+    if (!inScript) {
+      return null;
+    }
+    return `${line.slice(0, open.start)}${expression}${line.slice(end + 1)}`;
+  }
+
+  // The key is part of a longer string, such as a content API URL
+  if (!inScript || isAttribute) {
+    return null;
+  }
+  if (open.quote === '`') {
+    return `${line.slice(0, index)}\${${reference}}${line.slice(end)}`;
+  }
+  const atStart = open.start === index - 1;
+  const atEnd = line[end] === open.quote;
+  const before = atStart ? line.slice(0, open.start) : `${line.slice(0, index)}${open.quote} + `;
+  const after = atEnd ? line.slice(end + 1) : ` + ${open.quote}${line.slice(end)}`;
+  return `${before}${reference}${after}`;
+}
+
+// Rewrites the demo key in a source file to read from the env variable.
+// Returns the new content and whether any occurrence had to be left alone.
+function rewriteSource(content, extension, reference) {
+  // Only <script> blocks of single-file components hold code
+  const hasScriptBlocks = ['.vue', '.svelte'].includes(extension);
+  let inScript = !hasScriptBlocks;
+  let skipped = false;
+
+  const lines = content.split('\n').map(line => {
+    if (hasScriptBlocks && /<script[\s>]/.test(line)) inScript = true;
+    let result = line;
+    let index = result.indexOf(DEMO_API_KEY);
+    while (index !== -1) {
+      const replaced = replaceOccurrence(result, index, { extension, inScript, reference });
+      if (replaced === null) {
+        skipped = true;
+        index = result.indexOf(DEMO_API_KEY, index + DEMO_API_KEY.length);
+      } else {
+        result = replaced;
+        index = result.indexOf(DEMO_API_KEY);
+      }
+    }
+    if (hasScriptBlocks && /<\/script>/.test(line)) inScript = false;
+    return result;
+  });
+
+  return { content: lines.join('\n'), skipped };
+}
+
+// Sets `variable=value` in a dotenv file, keeping everything else in it
+async function writeDotenv(filePath, variable, value) {
+  const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+  const line = `${variable}=${value}`;
+  const pattern = new RegExp(`^${variable}=.*$`, 'm');
+  const updated = pattern.test(content)
+    ? content.replace(pattern, line)
+    : `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+  await fs.outputFile(filePath, updated);
+}
+
+// Sets a property of the `environment` object Angular's environment files export
+async function writeAngularEnvironment(filePath, property, value) {
+  const content = await fs.readFile(filePath, 'utf8').catch(() => null);
+  const entry = `${property}: '${value}'`;
+  let updated;
+  if (content === null) {
+    updated = `export const environment = {\n  ${entry},\n};\n`;
+  } else if (new RegExp(`${property}\\s*:`).test(content)) {
+    updated = content.replace(new RegExp(`${property}\\s*:\\s*(['"\`]).*?\\1`), entry);
+  } else {
+    updated = content.replace(/(export const environment\s*(?::[^=]+)?=\s*\{)/, `$1\n  ${entry},`);
+  }
+  await fs.outputFile(filePath, updated);
+}
+
+// Files that use `environment.…` need to import it from the environment file
+function addEnvironmentImport(content, fromFile, environmentFile) {
+  if (/import\s*\{[^}]*\benvironment\b[^}]*\}/.test(content)) {
+    return content;
+  }
+  let specifier = path.relative(path.dirname(fromFile), environmentFile.replace(/\.ts$/, '')).split(path.sep).join('/');
+  if (!specifier.startsWith('.')) specifier = `./${specifier}`;
+  return `import { environment } from '${specifier}';\n${content}`;
+}
+
+// Nuxt only exposes runtime config keys that nuxt.config declares
+async function declareNuxtRuntimeConfig(projectDir, key) {
+  for (const name of ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs']) {
+    const configPath = path.join(projectDir, name);
+    const content = await fs.readFile(configPath, 'utf8').catch(() => null);
+    if (content === null) continue;
+    if (content.includes(key)) return true;
+    if (content.includes('runtimeConfig') || !/defineNuxtConfig\(\s*\{/.test(content)) return false;
+    await fs.writeFile(configPath, content.replace(/defineNuxtConfig\(\s*\{/, `$&\n  runtimeConfig: { public: { ${key}: '' } },`));
+    return true;
+  }
+  return false;
+}
+
+// Writes the API key to the framework's env file, points source files that
+// used the demo key at it, and makes sure the env file isn't committed unless
+// the app imports it.
+// Returns where the key went and the files still holding the demo key.
+async function writeApiKey(projectDir, apiKey, framework) {
+  const env = getApiKeyEnv(framework);
+  const envPath = path.join(projectDir, env.file);
+  const rewrittenFiles = [];
+  const skippedFiles = [];
+
+  for (const file of await walkDirectory(projectDir)) {
+    const extension = path.extname(file).toLowerCase();
+    if (file === env.file || IGNORED_EXTENSIONS.includes(extension) || path.basename(file).startsWith('.env')) {
+      continue;
+    }
+    const filePath = path.join(projectDir, file);
+    const buffer = await fs.readFile(filePath);
+    if (buffer.includes(0) || !buffer.includes(DEMO_API_KEY)) {
+      continue;
+    }
+
+    if (!CODE_EXTENSIONS.includes(extension)) {
+      skippedFiles.push(file);
+      continue;
+    }
+    let { content, skipped } = rewriteSource(buffer.toString('utf8'), extension, env.reference);
+    if (content !== buffer.toString('utf8')) {
+      if (env.property && content.includes(env.reference)) {
+        content = addEnvironmentImport(content, filePath, envPath);
+      }
+      await fs.writeFile(filePath, content);
+      rewrittenFiles.push(file);
+    }
+    if (skipped) {
+      skippedFiles.push(file);
+    }
+  }
+
+  if (env.property) {
+    await writeAngularEnvironment(envPath, env.property, apiKey);
+  } else {
+    await writeDotenv(envPath, env.variable, apiKey);
+  }
+  const configDeclared = env.runtimeConfigKey ? await declareNuxtRuntimeConfig(projectDir, env.runtimeConfigKey) : true;
+  await ensureGitignore(projectDir, env.committed ? [] : [env.file]);
+
+  return { envFile: env.file, variable: env.variable || env.property, gitignored: !env.committed, rewrittenFiles, skippedFiles, configDeclared };
+}
+
+// The key writeApiKey saved in a project, or null when there isn't one
+async function readApiKey(projectDir, framework) {
+  const env = getApiKeyEnv(framework);
+  const content = await fs.readFile(path.join(projectDir, env.file), 'utf8').catch(() => null);
+  const match = env.property
+    ? content?.match(new RegExp(`${env.property}\\s*:\\s*(['"\`])(.*?)\\1`))
+    : content?.match(new RegExp(`^${env.variable}=(.*)$`, 'm'));
+  return match ? match[match.length - 1].trim() : null;
+}
+
+module.exports = {
+  CODE_EXTENSIONS,
+  DEMO_API_KEY,
+  API_KEY_ENV,
+  getApiKeyEnv,
+  rewriteSource,
+  writeApiKey,
+  readApiKey,
+};
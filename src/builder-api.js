@@ -0,0 +1,74 @@
+const { httpGet } = require('./http');
+const { DownloadError } = require('./errors');
+
+const DEFAULT_BUILDER_API_URL = 'https://cdn.builder.io';
+
+// Public API keys are 32 hex characters, like the demo key templates ship with
+const API_KEY_PATTERN = /^[0-9a-f]{32}$/i;
+
+// The models templates fetch content from, e.g. `fetchOneEntry({ model: 'page' })`,
+// `builder.get('page')` or `<BuilderComponent model="page" />`
+const MODEL_PATTERNS = [
+  /\bmodel\s*:\s*['"`]([\w-]+)['"`]/g,
+  /\bmodel=\{?\s*['"]([\w-]+)['"]/g,
+  /\bbuilder\.get\(\s*['"`]([\w-]+)['"`]/g,
+];
+
+const DEFAULT_MODELS = ['page'];
+
+// Inquirer-style validation: true, or what's wrong with the key. An empty
+// key is fine, the project then keeps using the demo space.
+function validateApiKey(apiKey) {
+  const trimmed = String(apiKey).trim();
+  if (trimmed === '' || API_KEY_PATTERN.test(trimmed)) {
+    return true;
+  }
+  return 'API keys are 32 characters, 0-9 and a-f. Find yours under Account settings in Builder.io';
+}
+
+function findModels(contents) {
+  const models = new Set();
+  for (const content of contents) {
+    for (const pattern of MODEL_PATTERNS) {
+      for (const [, model] of content.matchAll(pattern)) {
+        models.add(model);
+      }
+    }
+  }
+  return models.size ? [...models] : DEFAULT_MODELS;
+}
+
+// Asks the content API for one entry of each model. Returns null when the key
+// is rejected, otherwise how many entries (0 or 1) each model returned.
+async function verifyApiKey(apiKey, models, { apiUrl = DEFAULT_BUILDER_API_URL } = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const results = [];
+
+  for (const model of models) {
+    try {
+      const { data } = await httpGet(`${baseUrl}/api/v3/content/${encodeURIComponent(model)}`, {
+        params: { apiKey, limit: 1, fields: 'id', cachebust: true },
+      });
+      results.push({ model, found: Array.isArray(data?.results) && data.results.length > 0 });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        return null;
+      }
+      if (status === 404) {
+        results.push({ model, found: false });
+        continue;
+      }
+      throw new DownloadError(`Could not reach the Builder content API at ${baseUrl}: ${error.message}`, { cause: error });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_BUILDER_API_URL,
+  validateApiKey,
+  findModels,
+  verifyApiKey,
+};
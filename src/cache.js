@@ -0,0 +1,327 @@
+const fs = require("fs-extra");
+const os = require('os');
+const path = require("path");
+const { createSource, isCommitSha, resolveGithubCommit, verifyFile, walkDirectory } = require('./sources');
+const { resolveInside } = require('./paths');
+const { DownloadError } = require('./errors');
+
+// Layout, relative to the cache directory:
+//   <owner>/<name>/refs/<ref>.json                 commit and ETag a ref last resolved to
+//   <owner>/<name>/<commit>/<examples dir>/templates.json
+//   <owner>/<name>/<commit>/<examples dir>/<data>.json  derived data, e.g. classifications
+//   <owner>/<name>/<commit>/<examples dir>/<template>/files.json
+//   <owner>/<name>/<commit>/<examples dir>/<template>/files/...
+//   <owner>/<name>/<commit>/.repo/manifests.json   workspace package.json paths
+//   <owner>/<name>/<commit>/.repo/files/...        files read from outside the examples
+// Contents are keyed by commit, so a snapshot never goes stale; revalidating
+// a ref only means checking which commit it points at now.
+
+function getCacheDir(cacheDir) {
+  if (cacheDir) {
+    return path.resolve(cacheDir);
+  }
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'builder-generate-repo-from-template');
+}
+
+const getRepoDir = (cacheDir, repo) => path.join(cacheDir, ...repo.split('/'));
+
+const getRefFile = (cacheDir, repo, ref) => path.join(getRepoDir(cacheDir, repo), 'refs', `${encodeURIComponent(ref)}.json`);
+
+async function readCachedListing(templateDir) {
+  const listing = await fs.readJson(path.join(templateDir, 'files.json')).catch(() => null);
+  if (!listing) {
+    return null;
+  }
+  const cached = await Promise.all(listing.map(file => fs.pathExists(path.join(templateDir, 'files', file.path))));
+  return { files: listing, complete: cached.every(Boolean), cachedFiles: cached.filter(Boolean).length };
+}
+
+// Copies the files (paths in dir) to where resolvePath puts them in
+// targetDir, skipping the ones it returns null for
+async function copyResolved(dir, files, targetDir, resolvePath, onEntry) {
+  let copied = 0;
+  for (const file of files) {
+    const filePath = resolvePath(file);
+    const targetPath = filePath && resolveInside(targetDir, filePath);
+    if (!targetPath) continue;
+    await fs.copy(path.join(dir, file), targetPath);
+    onEntry?.(filePath);
+    copied++;
+  }
+  return copied;
+}
+
+// Wraps a remote source so listings and files are read from the cache when
+// the ref still points at a cached commit, and stored there otherwise. In
+// offline mode nothing is fetched and anything missing from the cache is an
+// error.
+function createCachedSource({ type, repo, ref, examplesDir, cacheDir, offline = false }) {
+  const source = createSource({ type, repo, ref, examplesDir });
+  const notCached = (what) => new DownloadError(`${what} is not in the cache for ${repo}@${ref}. Run without --offline, or warm the cache with \`generate-repo-from-template cache warm\``);
+  let commit;
+  let pinnedSource;
+
+  const resolveRef = () => {
+    if (!commit) {
+      commit = (async () => {
+        const refFile = getRefFile(cacheDir, repo, ref);
+        const previous = await fs.readJson(refFile).catch(() => null);
+
+        if (offline) {
+          if (previous) return previous.sha;
+          if (isCommitSha(ref)) return ref.toLowerCase();
+          throw notCached(`The ref "${ref}"`);
+        }
+
+        const resolved = await resolveGithubCommit(repo, ref, previous);
+        if (!isCommitSha(ref)) {
+          await fs.outputJson(refFile, { ...resolved, ref, checkedAt: new Date().toISOString() }, { spaces: 2 });
+        }
+        return resolved.sha;
+      })();
+    }
+    return commit;
+  };
+
+  // The wrapped source, pinned to the resolved commit
+  const getPinnedSource = () => {
+    if (!pinnedSource) {
+      pinnedSource = resolveRef().then(sha => createSource({ type, repo, ref: sha, examplesDir }));
+    }
+    return pinnedSource;
+  };
+
+  const getSnapshotDir = async () => path.join(getRepoDir(cacheDir, repo), await resolveRef(), encodeURIComponent(examplesDir));
+
+  const getTemplateDir = async (template) => path.join(await getSnapshotDir(), template);
+
+  const getRepoFilesDir = async () => path.join(getRepoDir(cacheDir, repo), await resolveRef(), '.repo');
+
+  return {
+    type: source.type,
+    label: source.label,
+    options: source.options,
+    cached: true,
+    resolveRef,
+
+    async listTemplates() {
+      const templatesFile = path.join(await getSnapshotDir(), 'templates.json');
+      if (await fs.pathExists(templatesFile)) {
+        return fs.readJson(templatesFile);
+      }
+      if (offline) throw notCached('The template list');
+
+      const templates = await (await getPinnedSource()).listTemplates();
+      await fs.outputJson(templatesFile, templates);
+      return templates;
+    },
+
+    async listFiles(template) {
+      const listingFile = path.join(await getTemplateDir(template), 'files.json');
+      if (await fs.pathExists(listingFile)) {
+        return fs.readJson(listingFile);
+      }
+      if (offline) throw notCached(`The template "${template}"`);
+
+      const files = await (await getPinnedSource()).listFiles(template);
+      await fs.outputJson(listingFile, files);
+      return files;
+    },
+
+    async readFile(template, filePath, { refresh = false } = {}) {
+      const cachedPath = resolveInside(path.join(await getTemplateDir(template), 'files'), filePath);
+      if (!cachedPath) throw new DownloadError(`Refusing to cache "${template}/${filePath}", it would be outside the cache`);
+      if ((!refresh || offline) && await fs.pathExists(cachedPath)) {
+        return fs.readFile(cachedPath);
+      }
+      if (offline) throw notCached(`The file "${template}/${filePath}"`);
+
+      const content = await (await getPinnedSource()).readFile(template, filePath);
+      await fs.outputFile(cachedPath, content);
+      return content;
+    },
+
+    // Archive downloads are extracted into the cache whole, then copied from
+    // there to where `resolvePath` says
+    async extractTemplate(template, targetDir, { resolvePath = (filePath) => filePath, ...handlers } = {}) {
+      const templateDir = await getTemplateDir(template);
+      const filesDir = path.join(templateDir, 'files');
+      const cached = await readCachedListing(templateDir);
+
+      if (!cached?.complete) {
+        if (offline) throw notCached(`The template "${template}"`);
+
+        await fs.emptyDir(filesDir);
+        await (await getPinnedSource()).extractTemplate(template, filesDir, handlers);
+        const files = await walkDirectory(filesDir);
+        if (files.length === 0) {
+          return 0;
+        }
+        if (!cached) {
+          await fs.outputJson(path.join(templateDir, 'files.json'), files.map(file => ({ path: file })));
+        }
+        return copyResolved(filesDir, files, targetDir, resolvePath);
+      }
+
+      handlers.onStart?.({ totalBytes: 0 });
+      return copyResolved(filesDir, cached.files.map(file => file.path), targetDir, resolvePath, handlers.onEntry);
+    },
+
+    // Data derived from the snapshot's files, stored next to them
+    async memoize(name, compute) {
+      const dataFile = path.join(await getSnapshotDir(), `${name}.json`);
+      if (await fs.pathExists(dataFile)) {
+        return fs.readJson(dataFile);
+      }
+      const data = await compute();
+      await fs.outputJson(dataFile, data);
+      return data;
+    },
+
+    async listManifests() {
+      const manifestsFile = path.join(await getRepoFilesDir(), 'manifests.json');
+      if (await fs.pathExists(manifestsFile)) {
+        return fs.readJson(manifestsFile);
+      }
+      if (offline) throw notCached('The workspace package list');
+
+      const manifests = await (await getPinnedSource()).listManifests();
+      await fs.outputJson(manifestsFile, manifests);
+      return manifests;
+    },
+
+    async readRepoFile(filePath) {
+      const cachedPath = resolveInside(path.join(await getRepoFilesDir(), 'files'), filePath);
+      if (!cachedPath) throw new DownloadError(`Refusing to cache "${filePath}", it would be outside the cache`);
+      if (await fs.pathExists(cachedPath)) {
+        return fs.readFile(cachedPath);
+      }
+      if (offline) throw notCached(`The file "${filePath}"`);
+
+      const content = await (await getPinnedSource()).readRepoFile(filePath);
+      await fs.outputFile(cachedPath, content);
+      return content;
+    },
+
+    getTemplateUrl(template) {
+      return source.getTemplateUrl(template);
+    },
+  };
+}
+
+// Downloads every file of the given templates into the cache, replacing
+// cached copies that don't match the listing
+async function warmCache(source, templates, onTemplate) {
+  const warmFile = async (template, file) => {
+    const content = Buffer.from(await source.readFile(template, file.path));
+    if (verifyFile(file, content)) {
+      const refreshed = Buffer.from(await source.readFile(template, file.path, { refresh: true }));
+      const mismatch = verifyFile(file, refreshed);
+      if (mismatch) {
+        throw new DownloadError(`Could not cache ${template}/${file.path}: ${mismatch}`);
+      }
+    }
+  };
+
+  for (const template of templates) {
+    const files = await source.listFiles(template);
+    await Promise.all(files.map(file => warmFile(template, file)));
+    onTemplate?.(template, files.length);
+  }
+}
+
+async function readDirNames(dir) {
+  const items = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return items.filter(item => item.isDirectory()).map(item => item.name);
+}
+
+async function getDirectorySize(dir) {
+  const files = await walkDirectory(dir).catch(() => []);
+  const stats = await Promise.all(files.map(file => fs.stat(path.join(dir, file))));
+  return stats.reduce((sum, stat) => sum + stat.size, 0);
+}
+
+// Every cached commit of every repository, with the refs pointing at it
+// and the templates stored for it. A commit with no snapshot, only the files
+// read from outside the examples (`.repo`), is listed without an examples
+// directory or templates, so it can be pruned too.
+async function listCacheEntries(cacheDir) {
+  const entries = [];
+
+  for (const owner of await readDirNames(cacheDir)) {
+    for (const name of await readDirNames(path.join(cacheDir, owner))) {
+      const repo = `${owner}/${name}`;
+      const repoDir = getRepoDir(cacheDir, repo);
+      const refFiles = await fs.readdir(path.join(repoDir, 'refs')).catch(() => []);
+      const refs = await Promise.all(refFiles.map(file => fs.readJson(path.join(repoDir, 'refs', file)).catch(() => null)));
+
+      for (const commit of (await readDirNames(repoDir)).filter(isCommitSha)) {
+        const examplesDirNames = (await readDirNames(path.join(repoDir, commit))).filter(name => !name.startsWith('.'));
+        const commitRefs = refs.filter(ref => ref?.sha === commit).map(ref => ref.ref);
+        if (examplesDirNames.length === 0) {
+          entries.push({ repo, commit, examplesDir: null, refs: commitRefs, templates: [] });
+        }
+        for (const examplesDirName of examplesDirNames) {
+          const snapshotDir = path.join(repoDir, commit, examplesDirName);
+          const templates = [];
+          for (const template of await readDirNames(snapshotDir)) {
+            const listing = await readCachedListing(path.join(snapshotDir, template));
+            templates.push({
+              name: template,
+              files: listing?.files.length || 0,
+              cachedFiles: listing?.cachedFiles || 0,
+              complete: Boolean(listing?.complete),
+              size: await getDirectorySize(path.join(snapshotDir, template, 'files')),
+            });
+          }
+          entries.push({
+            repo,
+            commit,
+            examplesDir: decodeURIComponent(examplesDirName),
+            refs: commitRefs,
+            templates,
+          });
+        }
+      }
+    }
+  }
+
+  return entries;
+}
+
+const removeIfEmpty = async (dir) => {
+  if ((await fs.readdir(dir).catch(() => null))?.length === 0) {
+    await fs.rmdir(dir);
+  }
+};
+
+// Removes cached commits that no ref points at anymore, or every cached
+// commit and ref. Only what listCacheEntries found is removed, never anything
+// else in the cache directory, which could be any directory the user named.
+async function pruneCache(cacheDir, { all = false } = {}) {
+  const entries = await listCacheEntries(cacheDir);
+  const pruned = all ? entries : entries.filter(entry => entry.refs.length === 0);
+
+  for (const entry of pruned) {
+    await fs.remove(path.join(getRepoDir(cacheDir, entry.repo), entry.commit));
+  }
+
+  if (all) {
+    for (const repo of new Set(entries.map(entry => entry.repo))) {
+      const repoDir = getRepoDir(cacheDir, repo);
+      await fs.remove(path.join(repoDir, 'refs'));
+      await removeIfEmpty(repoDir);
+      await removeIfEmpty(path.dirname(repoDir));
+    }
+  }
+  return pruned;
+}
+
+module.exports = {
+  getCacheDir,
+  createCachedSource,
+  warmCache,
+  listCacheEntries,
+  pruneCache,
+};
@@ -0,0 +1,269 @@
+const inquirer = require("inquirer");
+const chalk = require('chalk');
+const { SOURCE_TYPES } = require('./sources');
+const { PACKAGE_MANAGERS } = require('./package-manager');
+const { UsageError } = require('./errors');
+
+const OPTIONS = {
+  name: { type: 'string', description: 'Project name (directory to create)' },
+  framework: { type: 'string', description: 'Framework to use, e.g. "Next.js"' },
+  gen: { type: 'string', description: 'Generation of the SDK (Gen1 or Gen2)' },
+  template: { type: 'string', description: 'Template to generate from' },
+  'api-key': { type: 'string', description: 'Your Builder.io API key' },
+  'verify-key': { type: 'boolean', description: 'Check the API key and the template\'s models against the content API, on by default (skip with --no-verify-key)' },
+  'builder-api-url': { type: 'string', env: 'BUILDER_API_URL', description: 'Base URL of the Builder content API' },
+  var: { type: 'string', multiple: true, value: 'name=value', description: 'Value for a variable the template declares, repeatable (overrides `variables` in the config file)' },
+  'sdk-version': { type: 'string', description: 'Version of the SDK to use: a dist-tag, version or range' },
+  registry: { type: 'string', env: 'BUILDER_NPM_REGISTRY', description: 'npm registry to look SDK versions up in (defaults to npm\'s configured registry)' },
+  'package-manager': { type: 'string', description: `Package manager to use (${PACKAGE_MANAGERS.join(', ')}), detected by default` },
+  install: { type: 'boolean', description: 'Install dependencies after generating (skip with --no-install)' },
+  git: { type: 'boolean', description: 'Initialize a git repository with an initial commit, on by default (skip with --no-git)' },
+  source: { type: 'string', description: `Where to read templates from (${SOURCE_TYPES.join(', ')})` },
+  'local-path': { type: 'string', description: 'Directory with templates, or a checkout of the repository, for the local source' },
+  repo: { type: 'string', env: 'BUILDER_TEMPLATE_REPO', description: 'GitHub repository to read templates from (owner/name)' },
+  ref: { type: 'string', env: 'BUILDER_TEMPLATE_REF', description: 'Branch, tag or commit SHA to read templates from' },
+  path: { type: 'string', env: 'BUILDER_TEMPLATE_PATH', description: 'Directory inside the repository that holds the templates' },
+  include: { type: 'string', multiple: true, value: 'glob', description: 'Keep template files matching the glob that would otherwise be left out, repeatable' },
+  exclude: { type: 'string', multiple: true, value: 'glob', description: 'Leave template files matching the glob out of the project, repeatable' },
+  force: { type: 'boolean', description: 'Replace the project directory if it already has files in it' },
+  merge: { type: 'boolean', description: 'Add the template\'s files to an existing project directory, overwriting clashes' },
+  config: { type: 'string', env: 'BUILDER_TEMPLATE_CONFIG', description: 'Config file listing plugins (default: the nearest .builderrc or builder-template.config.js)' },
+  'dry-run': { type: 'boolean', description: 'Show what would be written to the project directory (or changed by `upgrade`), without writing anything' },
+  archive: { type: 'boolean', description: 'Download the template from a single repository tarball instead of file by file' },
+  cache: { type: 'boolean', description: 'Use the on-disk template cache, on by default (disable with --no-cache)' },
+  'cache-dir': { type: 'string', env: 'BUILDER_TEMPLATE_CACHE_DIR', description: 'Where to keep the template cache' },
+  offline: { type: 'boolean', description: 'Generate from the cache only, without any network requests' },
+  'out-dir': { type: 'string', description: 'With `verify`, where to generate the projects (default: test-results)' },
+  concurrency: { type: 'string', description: 'With `verify`, how many templates to verify at once (default: 2)' },
+  timeout: { type: 'string', description: 'With `verify`, seconds each install, build, typecheck or lint may take (default: 600)' },
+  junit: { type: 'string', description: 'With `verify`, also write a JUnit XML report to this file' },
+  all: { type: 'boolean', description: 'With `cache prune`, remove every cached template' },
+  json: { type: 'boolean', description: 'Print JSON instead of text: a document for `list`, `info`, `verify` and `upgrade`, otherwise one event per line' },
+  quiet: { type: 'boolean', alias: 'q', description: 'Only print warnings and errors' },
+  verbose: { type: 'boolean', description: 'Also print debug messages and every HTTP request' },
+  debug: { type: 'boolean', description: 'Like --verbose, and print stack traces for errors' },
+  yes: { type: 'boolean', alias: 'y', description: 'Accept defaults for every prompt that has one' },
+  help: { type: 'boolean', alias: 'h', description: 'Show this help' },
+  version: { type: 'boolean', alias: 'v', description: 'Show the version number' },
+};
+
+const COMMANDS = {
+  'list': 'List the templates, filtered by --framework and --gen',
+  'info <template>': 'Show a template\'s files, dependencies, scripts and README',
+  'cache list': 'Show the cached templates',
+  'cache prune': 'Remove cached snapshots no ref points at anymore (everything with --all)',
+  'cache warm [template...]': 'Download templates into the cache, all of them by default',
+  'workspace <template[:name]...>': 'Create a monorepo with each template as an app under apps/<name>, sharing one API key and SDK versions',
+  'upgrade [directory]': 'Update a generated project (the current directory by default) to a newer version of its template, at --ref or the ref it was generated from',
+  'verify [template...]': 'Generate, install and build templates (all of them, or filtered by --framework and --gen) and report the results',
+};
+
+// Documented in the README too; the error classes carry these codes
+const EXIT_CODES = {
+  0: 'Success',
+  1: 'Unexpected error',
+  2: 'Invalid options, arguments, answers or API key',
+  3: 'The template doesn\'t exist or has no files',
+  4: 'The project directory can\'t be written to',
+  5: 'Network failure, or files or packages that couldn\'t be downloaded',
+  6: 'A config file or plugin failed',
+  7: 'Templates failed `verify`',
+  130: 'Interrupted',
+};
+
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+function parseArgs(argv, env = process.env) {
+  const aliases = Object.fromEntries(
+    Object.entries(OPTIONS)
+      .filter(([_, option]) => option.alias)
+      .map(([name, option]) => [option.alias, name])
+  );
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      [name, value] = arg.slice(2).split(/=(.*)/s);
+    } else if (/^-[a-zA-Z]$/.test(arg)) {
+      name = aliases[arg.slice(1)];
+      if (!name) throw new UsageError(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+      continue;
+    }
+
+    let option = OPTIONS[name];
+    if (!option && name.startsWith('no-') && OPTIONS[name.slice(3)]?.type === 'boolean') {
+      name = name.slice(3);
+      option = OPTIONS[name];
+      value = 'false';
+    }
+    if (!option) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+
+    if (option.type === 'boolean') {
+      if (value !== undefined && !['true', 'false'].includes(value)) {
+        throw new UsageError(`Option --${name} does not take a value`);
+      }
+      options[toCamelCase(name)] = value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith('-')) {
+        throw new UsageError(`Option --${name} requires a value`);
+      }
+    }
+    if (option.multiple) {
+      options[toCamelCase(name)] = [...options[toCamelCase(name)] || [], value];
+    } else {
+      options[toCamelCase(name)] = value;
+    }
+  }
+
+  // Options not passed on the command line fall back to their environment variable
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    if (option.env && options[toCamelCase(name)] === undefined && env[option.env]) {
+      options[toCamelCase(name)] = env[option.env];
+    }
+  }
+
+  return { options, positionals };
+}
+
+function getHelpText() {
+  const flags = Object.entries(OPTIONS).map(([name, option]) => [
+    option.alias ? `-${option.alias},` : '   ',
+    `--${name}`,
+    option.type === 'string' ? `<${option.value || name.split('-').pop()}>` : '',
+  ].join(' ').trimEnd());
+  const width = Math.max(...flags.map(flag => flag.length)) + 2;
+  const rows = Object.values(OPTIONS).map((option, i) => [
+    `  ${flags[i].padEnd(width)}${option.description}`,
+    option.env ? chalk.gray(` [env: ${option.env}]`) : '',
+  ].join(''));
+
+  const commandWidth = Math.max(...Object.keys(COMMANDS).map(command => command.length)) + 2;
+  const commands = Object.entries(COMMANDS).map(([command, description]) => `  ${command.padEnd(commandWidth)}${description}`);
+
+  return [
+    'Usage: generate-repo-from-template [command] [options]',
+    '',
+    'Without a command, creates a new project. Any prompt whose answer is',
+    'passed as an option is skipped.',
+    '',
+    'Commands:',
+    ...commands,
+    '',
+    'Options:',
+    ...rows,
+    '',
+    'Exit codes:',
+    ...Object.entries(EXIT_CODES).map(([code, description]) => `  ${code.padEnd(5)}${description}`),
+  ].join('\n');
+}
+
+function getChoiceValue(choice) {
+  return typeof choice === 'object' ? choice.value : choice;
+}
+
+// Filters and checks a value passed on the command line with the same rules the
+// interactive prompt would enforce, returning the canonical value. Lists
+// with their own `validate` accept values that aren't among the choices.
+async function validatePreset(question, preset, answers) {
+  const flag = `--${question.flag || question.name}`;
+  const value = question.filter ? await question.filter(preset, answers) : preset;
+
+  if (question.type === 'list' && !question.validate) {
+    const choices = typeof question.choices === 'function'
+      ? await question.choices(answers)
+      : question.choices;
+    const match = choices
+      .map(getChoiceValue)
+      .find(choice => String(choice).toLowerCase() === String(value).toLowerCase());
+    if (match === undefined) {
+      throw new UsageError(`Invalid value for ${flag}: "${value}". Expected one of: ${choices.map(getChoiceValue).join(', ')}`);
+    }
+    return match;
+  }
+
+  if (question.validate) {
+    const result = await question.validate(value, answers);
+    if (result !== true) {
+      throw new UsageError(`Invalid value for ${flag}: ${result || `"${value}"`}`);
+    }
+  }
+  return value;
+}
+
+async function isAsked(question, answers) {
+  return typeof question.when === 'function' ? question.when(answers) : question.when;
+}
+
+// Runs the given inquirer questions, skipping any whose answer was already
+// supplied. With `yes`, or when there is no TTY to prompt on, questions that
+// have a default (or are optional) are answered without prompting; anything
+// still missing is an error when we can't prompt for it. Questions are gone
+// through in order, so a supplied answer is checked against the answers
+// before it, e.g. --gen against the generations of the framework picked.
+async function promptMissing(questions, presets = {}, { yes = false, interactive = true } = {}) {
+  const answers = {};
+  const useDefaults = yes || !interactive;
+  const missing = [];
+
+  for (const question of questions) {
+    if (presets[question.name] !== undefined) {
+      answers[question.name] = await validatePreset(question, presets[question.name], answers);
+      continue;
+    }
+    // Past a missing answer, `when` and defaults can't be worked out, only
+    // whether the question needs answering at all
+    if (missing.length > 0) {
+      if (question.when === undefined && question.default === undefined && !question.optional) {
+        missing.push(question);
+      }
+      continue;
+    }
+    if (question.when !== undefined && !await isAsked(question, answers)) {
+      continue;
+    }
+    const defaultValue = useDefaults && typeof question.default === 'function'
+      ? await question.default(answers)
+      : question.default;
+    if (useDefaults && defaultValue !== undefined) {
+      answers[question.name] = defaultValue;
+    } else if (useDefaults && question.optional) {
+      answers[question.name] = '';
+    } else if (interactive) {
+      Object.assign(answers, await inquirer.prompt([question], answers));
+    } else {
+      missing.push(question);
+    }
+  }
+
+  if (missing.length > 0) {
+    const flags = missing.map(question => `--${question.flag || question.name}`).join(', ');
+    throw new UsageError(`Missing required option(s): ${flags}. Pass them as flags when not running in a terminal.`);
+  }
+  return answers;
+}
+
+module.exports = {
+  COMMANDS,
+  OPTIONS,
+  parseArgs,
+  getHelpText,
+  promptMissing,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs-extra");
+const path = require("path");
+const YAML = require('yaml');
+const { ConfigError } = require('./errors');
+
+// Looked for in the working directory and each directory above it, in order
+const CONFIG_FILES = ['.builderrc', '.builderrc.json', 'builder-template.config.js'];
+
+async function findConfigFile(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const configPath = path.join(dir, name);
+      if (await fs.pathExists(configPath)) {
+        return configPath;
+      }
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
+    }
+    dir = parentDir;
+  }
+}
+
+// .builderrc is JSON or YAML; a .js config exports the config, or a
+// function returning it
+async function readConfigFile(configPath) {
+  if (/\.[cm]?js$/.test(configPath)) {
+    const exported = require(configPath);
+    return typeof exported === 'function' ? exported() : exported;
+  }
+  return YAML.parse(await fs.readFile(configPath, 'utf8')) || {};
+}
+
+function normalizeConfig(config, configPath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`${configPath} must define an object`);
+  }
+  const { plugins = [], disable = [], variables = {} } = config;
+  const isPluginEntry = (entry) => typeof entry === 'string' || (Array.isArray(entry) && typeof entry[0] === 'string');
+  if (!Array.isArray(plugins) || !plugins.every(isPluginEntry)) {
+    throw new ConfigError(`"plugins" in ${configPath} must be a list of module paths or [path, options] pairs`);
+  }
+  if (!Array.isArray(disable) || !disable.every(name => typeof name === 'string')) {
+    throw new ConfigError(`"disable" in ${configPath} must be a list of plugin names`);
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables) || !Object.values(variables).every(value => typeof value === 'string')) {
+    throw new ConfigError(`"variables" in ${configPath} must map template variable names to strings`);
+  }
+  return { path: configPath, dir: path.dirname(configPath), plugins, disable, variables };
+}
+
+// The config from `configPath`, or from the nearest config file above `cwd`.
+// Without either, an empty config that runs only the built-in plugins.
+async function loadConfig({ configPath, cwd = process.cwd() } = {}) {
+  const resolvedPath = configPath ? path.resolve(cwd, configPath) : await findConfigFile(cwd);
+  if (!resolvedPath) {
+    return { path: null, dir: path.resolve(cwd), plugins: [], disable: [], variables: {} };
+  }
+  if (configPath && !await fs.pathExists(resolvedPath)) {
+    throw new ConfigError(`Config file ${resolvedPath} does not exist`);
+  }
+
+  try {
+    return normalizeConfig(await readConfigFile(resolvedPath), resolvedPath);
+  } catch (error) {
+    throw new ConfigError(`Could not load ${resolvedPath}: ${error.message}`, { cause: error });
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig,
+};
@@ -0,0 +1,90 @@
+// Every error the generator throws on purpose is a GeneratorError, with a
+// `code` callers can branch on instead of matching messages
+class GeneratorError extends Error {
+  static code = 'GENERATOR';
+  static exitCode = 1;
+
+  constructor(message, { cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.exitCode = this.constructor.exitCode;
+    Object.assign(this, details);
+  }
+}
+
+// Invalid options, arguments or answers
+class UsageError extends GeneratorError {
+  static code = 'USAGE';
+  static exitCode = 2;
+}
+
+// A config file that can't be read, or a plugin that can't be loaded
+class ConfigError extends GeneratorError {
+  static code = 'CONFIG';
+  static exitCode = 6;
+}
+
+// A plugin hook that failed
+class PluginError extends GeneratorError {
+  static code = 'PLUGIN';
+  static exitCode = 6;
+}
+
+// A template that doesn't exist or has nothing in it
+class TemplateError extends GeneratorError {
+  static code = 'TEMPLATE';
+  static exitCode = 3;
+}
+
+// A project directory that can't be written to
+class TargetDirError extends GeneratorError {
+  static code = 'TARGET_DIR';
+  static exitCode = 4;
+}
+
+// Templates, files or package metadata that couldn't be fetched
+class DownloadError extends GeneratorError {
+  static code = 'DOWNLOAD';
+  static exitCode = 5;
+}
+
+// An API key the content API rejected, which is a validation error
+class ApiKeyError extends GeneratorError {
+  static code = 'API_KEY';
+  static exitCode = 2;
+}
+
+// Templates that didn't generate, install or build in `verify`
+class VerifyError extends GeneratorError {
+  static code = 'VERIFY';
+  static exitCode = 7;
+}
+
+// Connection failures that reach the top without being wrapped
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// The CLI's exit code for an error: the error's own, 5 for any network
+// failure, and 1 for everything else
+function getExitCode(error) {
+  if (error instanceof GeneratorError) {
+    return error.exitCode;
+  }
+  if (error?.isAxiosError || NETWORK_ERROR_CODES.includes(error?.code)) {
+    return DownloadError.exitCode;
+  }
+  return GeneratorError.exitCode;
+}
+
+module.exports = {
+  GeneratorError,
+  UsageError,
+  ConfigError,
+  PluginError,
+  TemplateError,
+  TargetDirError,
+  DownloadError,
+  ApiKeyError,
+  VerifyError,
+  getExitCode,
+};
@@ -0,0 +1,723 @@
+const fs = require("fs-extra");
+const path = require("path");
+const util = require('util');
+const EventEmitter = require('events');
+const chalk = require('chalk');
+const YAML = require('yaml');
+const { createSource, verifyFile, walkDirectory } = require('./sources');
+const { withStagingDir } = require('./staging');
+const { getCacheDir, createCachedSource } = require('./cache');
+const { getSdkDependencies, loadWorkspace, rewriteManifest } = require('./workspace');
+const { CODE_EXTENSIONS, writeApiKey } = require('./api-key');
+const { findModels, verifyApiKey } = require('./builder-api');
+const { TEMPLATE_MANIFEST, classifyTemplate, getTemplateVariables, getTemplateIgnore } = require('./templates');
+const { getIgnoreRules, isIgnored, removeFileReferences } = require('./ignore');
+const { resolveInside, createPathResolver, findPortabilityProblems } = require('./paths');
+const { resolveVariables, substituteVariables } = require('./variables');
+const { getRegistryUrl, fetchPackageMetadata, resolveSdkVersions } = require('./registry');
+const { loadConfig } = require('./config');
+const { resolvePlugins, runHook, transformFiles } = require('./plugins');
+const { writeProvenance } = require('./provenance');
+const { PACKAGE_MANAGERS, getWorkspaceRunCommand, ensureGitignore } = require('./package-manager');
+const { log } = require('./log');
+const { GeneratorError, UsageError, TemplateError, DownloadError, ApiKeyError } = require('./errors');
+
+const GITHUB_REPO = "BuilderIO/builder";
+const GITHUB_REF = "main";
+const ROOT_EXAMPLES_DIR = "packages/sdks/snippets";
+
+const LOG_LEVELS = ['debug', 'info', 'success', 'warn', 'error'];
+
+// Generation reports through an EventEmitter rather than the console:
+// - `log` ({ level, message, formatted }) for what would be printed
+// - `template` ({ template, framework, gen, source, ref }) once the template is resolved
+// - `progress` ({ template, unit, done, total, files, file }) while downloading
+// - `transform` ({ plugin, hook, path, to }) for each hook a plugin ran, and
+//   each file a `file` hook moved (`to` is the new path) or removed (`to` is null)
+// Warnings are also collected, for the result.
+function createReporter(events = new EventEmitter()) {
+  const warnings = [];
+  const report = (level) => (...args) => {
+    const formatted = util.format(...args);
+    const message = util.stripVTControlCharacters(formatted).replace(/^\n+/, '');
+    if (level === 'warn') warnings.push(message);
+    events.emit('log', { level, message, formatted });
+  };
+
+  return {
+    events,
+    warnings,
+    log: Object.fromEntries(LOG_LEVELS.map(level => [level, report(level)])),
+    template: (event) => events.emit('template', event),
+    progress: (event) => events.emit('progress', event),
+    transform: (event) => events.emit('transform', event),
+  };
+}
+
+function getSource({ source, localPath, repo, ref, examplesDir, cache = true, cacheDir, offline = false } = {}) {
+  const type = source || (localPath ? 'local' : 'github');
+  const sourceOptions = {
+    type,
+    localPath,
+    repo: repo || GITHUB_REPO,
+    // Without a ref, a local source reads the working tree as it is on disk
+    ref: ref || (type === 'local' ? null : GITHUB_REF),
+    examplesDir: examplesDir || ROOT_EXAMPLES_DIR,
+  };
+
+  if (type !== 'local' && (cache || offline)) {
+    return createCachedSource({ ...sourceOptions, cacheDir: getCacheDir(cacheDir), offline });
+  }
+  return createSource(sourceOptions);
+}
+
+async function getExampleFolders(source = getSource()) {
+  return source.listTemplates();
+}
+
+async function downloadFile(source, template, file, targetPath) {
+  const maxAttempts = 3;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // Retries skip any cached copy, in case that is what's corrupted
+      const content = Buffer.from(await source.readFile(template, file.path, { refresh: attempt > 1 }));
+      const mismatch = verifyFile(file, content);
+      if (!mismatch) {
+        await fs.outputFile(targetPath, content);
+        return { success: true, path: file.path };
+      }
+      lastError = mismatch;
+    } catch (error) {
+      lastError = error.message;
+      break;
+    }
+  }
+
+  return { success: false, path: file.path, error: lastError };
+}
+
+async function downloadDirectory(source, template, targetDir, reporter, resolvePath) {
+  const files = (await source.listFiles(template))
+    .map(file => ({ ...file, target: resolvePath(file.path) }))
+    .filter(file => file.target !== null);
+  const failedFiles = [];
+  let downloadedFiles = 0;
+
+  const progress = { template, unit: 'files', done: 0, total: files.length, files: 0, file: '' };
+  reporter.progress(progress);
+
+  // Requests go through the shared pool in http.js, which bounds concurrency
+  await Promise.all(files.map(file => {
+    const targetPath = path.join(targetDir, file.target);
+    return downloadFile(source, template, file, targetPath).then(result => {
+      if (result.success) {
+        downloadedFiles++;
+        reporter.progress({ ...progress, done: downloadedFiles, files: downloadedFiles, file: file.target });
+      } else {
+        failedFiles.push(result);
+      }
+      return result;
+    });
+  }));
+
+  return { downloadedFiles, failedFiles };
+}
+
+// Extracts the template from a single repository tarball, reporting progress
+// in bytes received (or in entries, when the size is unknown)
+async function downloadArchive(source, template, targetDir, reporter, resolvePath) {
+  if (!source.extractTemplate) {
+    throw new UsageError(`The ${source.type} source does not support archive downloads`);
+  }
+
+  let progress;
+  return source.extractTemplate(template, targetDir, {
+    onStart: ({ totalBytes }) => {
+      progress = { template, unit: totalBytes ? 'bytes' : 'entries', done: 0, total: totalBytes || null, files: 0, file: '' };
+      reporter.progress(progress);
+    },
+    onData: (bytes) => {
+      if (progress.unit !== 'bytes') return;
+      progress = { ...progress, done: progress.done + bytes };
+      reporter.progress(progress);
+    },
+    onEntry: (file) => {
+      const files = progress.files + 1;
+      progress = { ...progress, files, file, done: progress.unit === 'entries' ? files : progress.done };
+      reporter.progress(progress);
+    },
+    resolvePath,
+  });
+}
+
+// Downloads the files of the template that `ignoreRules` don't skip. Each
+// path is decoded (e.g. `%5Bslug%5D` to `[slug]`) before the file is
+// written, and files whose paths aren't safe to write are skipped. Returns
+// the files left out, decoded and skipped.
+async function downloadTemplate(template, targetDir, source, { archive = false, ignoreRules = getIgnoreRules(), projectName = path.basename(targetDir), reporter = createReporter() } = {}) {
+  try {
+    let downloadedFiles;
+    let failedFiles = [];
+    const ignored = [];
+    const resolver = createPathResolver();
+    const resolvePath = (remotePath) => {
+      // The manifest describes the template, it isn't part of the project
+      if (remotePath === TEMPLATE_MANIFEST) return null;
+      const filePath = resolver.resolve(remotePath);
+      if (filePath === null) return null;
+      if (!resolveInside(targetDir, filePath)) {
+        resolver.rejected.push({ path: remotePath, reason: 'it leaves the project directory' });
+        return null;
+      }
+      if (isIgnored(filePath, ignoreRules)) {
+        ignored.push(filePath);
+        return null;
+      }
+      return filePath;
+    };
+
+    if (archive) {
+      downloadedFiles = await downloadArchive(source, template, targetDir, reporter, resolvePath);
+    } else {
+      ({ downloadedFiles, failedFiles } = await downloadDirectory(source, template, targetDir, reporter, resolvePath));
+    }
+
+    resolver.warnings.forEach(warning => reporter.log.warn(warning));
+    resolver.rejected.forEach(({ path: filePath, reason }) => reporter.log.warn(`Skipped ${filePath}: ${reason}`));
+
+    if (failedFiles.length > 0) {
+      const details = failedFiles.map(file => `  - ${file.path}: ${file.error}`).join('\n');
+      reporter.log.error(`\n${failedFiles.length} file(s) could not be downloaded:\n${chalk.red(details)}`);
+      throw new DownloadError('The template was only partially downloaded', { files: failedFiles });
+    }
+
+    if (downloadedFiles === 0 && ignored.length > 0) {
+      throw new TemplateError(`Every file of the template "${template}" was excluded. Check --include and --exclude`);
+    }
+    if (downloadedFiles === 0) {
+      throw new TemplateError(`No files were downloaded. The template "${template}" might be empty or not exist.`);
+    }
+
+    // Create a basic package.json if it doesn't exist
+    const packagePath = path.join(targetDir, 'package.json');
+    if (!await fs.pathExists(packagePath)) {
+      const basicPackage = {
+        name: projectName,
+        version: '0.1.0',
+        private: true,
+      };
+      await fs.writeJSON(packagePath, basicPackage, { spaces: 2 });
+    }
+
+    reporter.log.success(`\nTemplate files downloaded successfully! (${chalk.cyan(downloadedFiles)} files)`);
+    resolver.renamed.forEach(({ from, to }) => reporter.log.info(`Decoded: ${from} → ${to}`));
+    if (ignored.length > 0) {
+      reporter.log.info(`Left out ${ignored.length} file(s): ${chalk.gray(ignored.sort().join(', '))}`);
+    }
+    findPortabilityProblems(await walkDirectory(targetDir)).forEach(problem => reporter.log.warn(problem));
+    return { ignored, renamed: resolver.renamed, rejected: resolver.rejected };
+  } catch (error) {
+    if (error instanceof GeneratorError) {
+      throw error;
+    }
+    throw new DownloadError(`Error downloading template: ${error.message}`, { cause: error });
+  }
+}
+
+// Removes the package.json scripts, tools and local packages that need the
+// `removedFiles` left out of the project. Part of every download rather than
+// a plugin, so disabling a plugin can't leave them broken. Returns the
+// changes, as listed by rewriteManifest.
+async function removeIgnoredReferences(projectDir, removedFiles, reporter = createReporter()) {
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  if (removedFiles.length === 0 || !await fs.pathExists(packageJsonPath)) {
+    return [];
+  }
+
+  try {
+    const packageJson = await fs.readJson(packageJsonPath);
+    const changes = removeFileReferences(packageJson, { removed: removedFiles, kept: await walkDirectory(projectDir) });
+    if (changes.length > 0) {
+      await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+    }
+    return changes;
+  } catch (error) {
+    reporter.log.warn('Error removing references to left-out files:', error.message);
+    return [];
+  }
+}
+
+// Returns the changes made to package.json, as listed by rewriteManifest.
+async function updateWorkspaceVersions(projectDir, providedVersion = 'latest', { projectName = path.basename(projectDir), source, sdkVersions, reporter = createReporter() } = {}) {
+  const packageJsonPath = path.join(projectDir, 'package.json');
+
+  try {
+    if (await fs.pathExists(packageJsonPath)) {
+      reporter.log.info('Updating workspace dependencies...');
+
+      const packageJson = await fs.readJson(packageJsonPath);
+
+      let workspace = null;
+      try {
+        workspace = await loadWorkspace(source);
+      } catch (error) {
+        reporter.log.warn('Could not read the packages of the template\'s monorepo:', error.message);
+      }
+
+      const { changes, warnings } = rewriteManifest(packageJson, { workspace, sdkVersion: providedVersion, sdkVersions });
+      warnings.forEach(warning => reporter.log.warn(warning));
+
+      if (packageJson.name !== projectName) {
+        changes.unshift({ field: 'name', from: packageJson.name, to: projectName });
+      }
+      packageJson.name = projectName;
+
+      await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+      return changes;
+    }
+  } catch (error) {
+    reporter.log.warn('Error updating workspace versions:', error.message);
+  }
+  return [];
+}
+
+// The Builder SDK packages a template installs, read from its package.json
+async function getTemplateSdkPackages(source, template) {
+  try {
+    const packageJson = JSON.parse((await source.readFile(template, 'package.json')).toString());
+    return getSdkDependencies(packageJson);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Pins the SDK packages of a template, or of several templates that should
+// share versions, to the published versions `version` resolves to. When the
+// registry can't be reached, `version` is used as it is.
+async function resolveTemplateSdkVersions(source, templates, version, { registry, offline = false, reporter = createReporter() } = {}) {
+  const sdkPackages = [...new Set((await Promise.all([].concat(templates).map(template => getTemplateSdkPackages(source, template)))).flat())];
+  if (!version || offline || sdkPackages.length === 0) {
+    return {};
+  }
+
+  let metadata;
+  try {
+    metadata = await Promise.all(sdkPackages.map(name => fetchPackageMetadata(name, getRegistryUrl(registry))));
+  } catch (error) {
+    reporter.log.warn(`${error.message}. The SDK version won't be checked`);
+    return {};
+  }
+  const { versions, warnings } = resolveSdkVersions(metadata, version);
+  warnings.forEach(warning => reporter.log.warn(warning));
+  return versions;
+}
+
+// The content models the template's code fetches from
+async function getTemplateModels(source, template) {
+  const files = (await source.listFiles(template))
+    .filter(file => CODE_EXTENSIONS.some(extension => file.path.endsWith(extension)));
+  const contents = await Promise.all(files.map(async file => (await source.readFile(template, file.path)).toString()));
+  return findModels(contents);
+}
+
+// Checks the key against the content API, and whether the models the
+// template renders have any published content in that space
+async function checkApiKey(apiKey, source, template, apiUrl, reporter = createReporter()) {
+  reporter.log.info('Checking your API key...');
+  let results;
+  try {
+    results = await verifyApiKey(apiKey, await getTemplateModels(source, template), { apiUrl });
+  } catch (error) {
+    reporter.log.warn(`${error.message}. Skipping the API key check`);
+    return;
+  }
+  if (!results) {
+    throw new ApiKeyError(`The Builder content API rejected the API key. Check it, or pass --no-verify-key to skip this check`);
+  }
+
+  reporter.log.success('The API key belongs to a Builder.io space');
+  for (const { model, found } of results) {
+    if (found) {
+      reporter.log.success(`Model ${chalk.cyan(model)} has published content`);
+    } else {
+      reporter.log.warn(`Model ${chalk.cyan(model)} has no published content in this space, so the app will render nothing for it until you publish some`);
+    }
+  }
+}
+
+// Returns what writeApiKey did, or null when the key wasn't written
+async function updateApiKey(projectDir, newApiKey, { framework, reporter = createReporter() } = {}) {
+  if (!newApiKey) {
+    reporter.log.info('No API key provided, the project uses the demo space');
+    return null;
+  }
+
+  try {
+    reporter.log.info('Updating API keys...');
+
+    const result = await writeApiKey(projectDir, newApiKey, framework);
+    const { envFile, variable, gitignored, skippedFiles, configDeclared } = result;
+    reporter.log.success(`Saved your API key as ${chalk.cyan(variable)} in ${chalk.cyan(envFile)}${gitignored ? ', which is gitignored' : ''}`);
+
+    if (!configDeclared) {
+      reporter.log.warn(`Add ${chalk.cyan('builderApiKey')} to ${chalk.cyan('runtimeConfig.public')} in nuxt.config so the key is available`);
+    }
+    if (skippedFiles.length > 0) {
+      const details = skippedFiles.map(file => `  ${file}`).join('\n');
+      reporter.log.warn(`These files still use the demo API key, update them to read ${variable}:\n${chalk.gray(details)}`);
+    }
+    return result;
+  } catch (error) {
+    reporter.log.warn('Error updating API keys:', error.message);
+    return null;
+  }
+}
+
+// The steps every project goes through, as plugins a config file can reorder
+// or disable. Each records what it changed in `context.report`.
+const BUILTIN_PLUGINS = {
+  'template-variables': {
+    file(file, context) {
+      const substituted = substituteVariables(file, context.templateVariables, context.variables);
+      if (!substituted) return;
+      context.report.variables.files.push(substituted.path);
+      return substituted;
+    },
+  },
+  'workspace-versions': {
+    async postGenerate(context) {
+      context.report.packageJson.push(...await updateWorkspaceVersions(context.dir, context.sdkVersion, {
+        projectName: context.projectName,
+        source: context.source,
+        sdkVersions: context.sdkVersions,
+        reporter: context.reporter,
+      }));
+    },
+  },
+  'api-key': {
+    async postGenerate(context) {
+      context.report.apiKey = await updateApiKey(context.dir, context.apiKey, { framework: context.framework, reporter: context.reporter });
+    },
+  },
+};
+
+async function getPlugins(configPath, reporter = createReporter()) {
+  const config = await loadConfig({ configPath });
+  if (config.path) {
+    reporter.log.info(`Using config from ${chalk.cyan(config.path)}`);
+  }
+  return resolvePlugins(config, BUILTIN_PLUGINS);
+}
+
+// Downloads the template into dir and runs the plugins over it. Returns what
+// the built-in steps changed.
+async function buildProject(dir, { plugins, archive, reporter, ...settings }) {
+  const context = {
+    ...settings,
+    dir,
+    reporter,
+    log: reporter.log,
+    report: { ignored: [], renamed: [], rejected: [], variables: { values: settings.variables, files: [] }, packageJson: [], apiKey: null },
+  };
+
+  await runHook(plugins, 'preDownload', context);
+  const ignoreRules = getIgnoreRules({
+    ignore: await getTemplateIgnore(context.source, context.template),
+    include: context.include,
+    exclude: context.exclude,
+  });
+  Object.assign(context.report, await downloadTemplate(context.template, dir, context.source, { archive, ignoreRules, projectName: context.projectName, reporter }));
+  context.report.packageJson.push(...await removeIgnoredReferences(dir, context.report.ignored, reporter));
+  await transformFiles(dir, plugins, context);
+  await runHook(plugins, 'postGenerate', context);
+
+  // Last, so the hashes are of what every plugin left
+  const { envFile, variable } = context.report.apiKey || {};
+  await writeProvenance(dir, {
+    template: context.template,
+    framework: context.framework,
+    projectName: context.projectName,
+    source: { type: context.source.type, ...context.source.options },
+    commit: context.commit,
+    sdkVersion: context.sdkVersion,
+    sdkVersions: context.sdkVersions,
+    variables: context.variables,
+    include: context.include,
+    exclude: context.exclude,
+    apiKey: envFile ? { envFile, variable } : null,
+  });
+  return context.report;
+}
+
+// Generates a project from a template, without prompting, drawing progress
+// or exiting. Log lines and progress are emitted on `events`, and log lines
+// are printed too unless `silent`. `source` is a source type, or a source
+// from getSource. `variables` has values for the variables the template
+// declares, which otherwise take their defaults. `include` and `exclude` are
+// globs of template files to keep or leave out (see ignore.js). Throws
+// GeneratorErrors; returns what was generated.
+async function generateTemplate({
+  directory,
+  template,
+  apiKey,
+  version,
+  sdkVersions,
+  framework,
+  variables,
+  include = [],
+  exclude = [],
+  archive = false,
+  force = false,
+  merge = false,
+  dryRun = false,
+  config,
+  plugins,
+  registry,
+  projectName,
+  silent = false,
+  events = new EventEmitter(),
+  source: sourceOrType,
+  ...sourceOptions
+} = {}) {
+  const printLog = ({ level, formatted }) => log[level](formatted);
+  if (!silent) {
+    events.on('log', printLog);
+  }
+
+  try {
+    if (!directory || !template) {
+      throw new UsageError('generateTemplate needs a directory and a template');
+    }
+    const reporter = createReporter(events);
+    const projectDir = path.resolve(directory);
+    const source = typeof sourceOrType === 'object' ? sourceOrType : getSource({ ...sourceOptions, source: sourceOrType });
+
+    const commit = await source.resolveRef();
+    const classification = await classifyTemplate(source, template);
+    const resolvedFramework = framework || classification?.framework || null;
+    reporter.template({
+      template,
+      framework: resolvedFramework,
+      gen: classification?.gen || null,
+      source: source.label,
+      ref: commit,
+    });
+    const resolvedPlugins = plugins || await getPlugins(config, reporter);
+    reporter.log.debug(`Plugins: ${resolvedPlugins.map(plugin => plugin.name).join(', ')}`);
+    const pinnedVersions = sdkVersions || await resolveTemplateSdkVersions(source, template, version, {
+      registry,
+      offline: sourceOptions.offline,
+      reporter,
+    });
+    const templateVariables = await getTemplateVariables(source, template);
+    const variableValues = resolveVariables(templateVariables, variables);
+
+    const { result: report, files } = await withStagingDir(projectDir, stagingDir => buildProject(stagingDir, {
+      plugins: resolvedPlugins,
+      reporter,
+      template,
+      source,
+      archive,
+      projectName: projectName || path.basename(projectDir),
+      commit,
+      sdkVersion: version || 'latest',
+      sdkVersions: pinnedVersions,
+      templateVariables,
+      variables: variableValues,
+      include,
+      exclude,
+      apiKey,
+      framework: resolvedFramework,
+    }), { force, merge, dryRun });
+
+    return {
+      projectDir,
+      template,
+      framework: resolvedFramework,
+      gen: classification?.gen || null,
+      source: source.label,
+      ref: commit,
+      dryRun,
+      plugins: resolvedPlugins.map(plugin => plugin.name),
+      files,
+      ...report,
+      warnings: reporter.warnings,
+    };
+  } finally {
+    events.removeListener('log', printLog);
+  }
+}
+
+// Where generateWorkspace puts each app
+const WORKSPACE_APPS_DIR = 'apps';
+
+// Root scripts that run an app's script from the workspace root, as `<script>:<app>`
+const WORKSPACE_SCRIPTS = ['dev', 'start', 'serve', 'build'];
+
+async function writeWorkspaceRoot(dir, { name, apps, packageManager }) {
+  const scripts = {};
+  for (const app of apps) {
+    const packageJson = await fs.readJson(path.join(dir, WORKSPACE_APPS_DIR, app.name, 'package.json')).catch(() => null);
+    for (const script of WORKSPACE_SCRIPTS.filter(script => packageJson?.scripts?.[script])) {
+      scripts[`${script}:${app.name}`] = getWorkspaceRunCommand(packageManager, app.name, script).join(' ');
+    }
+  }
+
+  const workspaces = [`${WORKSPACE_APPS_DIR}/*`];
+  // pnpm reads its workspaces from pnpm-workspace.yaml instead of package.json
+  await fs.outputJson(path.join(dir, 'package.json'), {
+    name,
+    private: true,
+    ...(packageManager === 'pnpm' ? {} : { workspaces }),
+    scripts,
+  }, { spaces: 2 });
+  if (packageManager === 'pnpm') {
+    await fs.outputFile(path.join(dir, 'pnpm-workspace.yaml'), YAML.stringify({ packages: workspaces }));
+  }
+  await ensureGitignore(dir);
+}
+
+// Generates several templates into one monorepo, each under apps/<name>,
+// with one API key and the same SDK versions everywhere. `apps` are template
+// names, or { template, name } to name the app differently. Reports, throws
+// and returns like generateTemplate, with one entry in `apps` per app.
+async function generateWorkspace({
+  directory,
+  apps,
+  apiKey,
+  version = 'latest',
+  variables,
+  include = [],
+  exclude = [],
+  packageManager = 'npm',
+  archive = false,
+  force = false,
+  merge = false,
+  dryRun = false,
+  config,
+  plugins,
+  registry,
+  silent = false,
+  events = new EventEmitter(),
+  source: sourceOrType,
+  ...sourceOptions
+} = {}) {
+  const printLog = ({ level, formatted }) => log[level](formatted);
+  if (!silent) {
+    events.on('log', printLog);
+  }
+
+  try {
+    if (!directory || !apps?.length) {
+      throw new UsageError('generateWorkspace needs a directory and at least one template');
+    }
+    if (!PACKAGE_MANAGERS.includes(packageManager)) {
+      throw new UsageError(`Unknown package manager "${packageManager}". Expected one of: ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+    const workspaceApps = apps.map(app => (typeof app === 'string' ? { template: app, name: app } : { name: app.template, ...app }));
+    for (const [i, app] of workspaceApps.entries()) {
+      if (!/^[a-zA-Z0-9-_]+$/.test(app.name)) {
+        throw new UsageError(`Invalid app name "${app.name}": only letters, numbers, dashes and underscores are allowed`);
+      }
+      if (workspaceApps.findIndex(other => other.name === app.name) !== i) {
+        throw new UsageError(`Two apps are named "${app.name}", give one of them another name`);
+      }
+    }
+
+    const reporter = createReporter(events);
+    const projectDir = path.resolve(directory);
+    const source = typeof sourceOrType === 'object' ? sourceOrType : getSource({ ...sourceOptions, source: sourceOrType });
+    const commit = await source.resolveRef();
+    const classified = await Promise.all(workspaceApps.map(async app => {
+      const templateVariables = await getTemplateVariables(source, app.template);
+      return {
+        ...app,
+        classification: await classifyTemplate(source, app.template),
+        templateVariables,
+        variables: resolveVariables(templateVariables, variables),
+      };
+    }));
+    const resolvedPlugins = plugins || await getPlugins(config, reporter);
+    // Resolved together, so apps that share an SDK package get the same version
+    const sdkVersions = await resolveTemplateSdkVersions(source, workspaceApps.map(app => app.template), version, {
+      registry,
+      offline: sourceOptions.offline,
+      reporter,
+    });
+
+    const { result: reports, files } = await withStagingDir(projectDir, async stagingDir => {
+      const appReports = [];
+      for (const app of classified) {
+        const framework = app.framework || app.classification?.framework || null;
+        reporter.template({
+          template: app.template,
+          framework,
+          gen: app.classification?.gen || null,
+          source: source.label,
+          ref: commit,
+          app: app.name,
+        });
+        reporter.log.info(`\nAdding ${chalk.cyan(app.template)} as ${chalk.cyan(`${WORKSPACE_APPS_DIR}/${app.name}`)}`);
+        const report = await buildProject(path.join(stagingDir, WORKSPACE_APPS_DIR, app.name), {
+          plugins: resolvedPlugins,
+          reporter,
+          template: app.template,
+          source,
+          archive,
+          projectName: app.name,
+          commit,
+          sdkVersion: version,
+          sdkVersions,
+          templateVariables: app.templateVariables,
+          variables: app.variables,
+          include,
+          exclude,
+          apiKey,
+          framework,
+        });
+        appReports.push({ ...app, framework, report });
+      }
+      await writeWorkspaceRoot(stagingDir, { name: path.basename(projectDir), apps: workspaceApps, packageManager });
+      return appReports;
+    }, { force, merge, dryRun });
+
+    return {
+      projectDir,
+      source: source.label,
+      ref: commit,
+      dryRun,
+      packageManager,
+      sdkVersions,
+      plugins: resolvedPlugins.map(plugin => plugin.name),
+      apps: reports.map(({ name, template, framework, classification, report }) => ({
+        name,
+        dir: `${WORKSPACE_APPS_DIR}/${name}`,
+        template,
+        framework,
+        gen: classification?.gen || null,
+        ...report,
+      })),
+      files,
+      warnings: reporter.warnings,
+    };
+  } finally {
+    events.removeListener('log', printLog);
+  }
+}
+
+module.exports = {
+  GITHUB_REPO,
+  GITHUB_REF,
+  ROOT_EXAMPLES_DIR,
+  createReporter,
+  getSource,
+  getExampleFolders,
+  getTemplateSdkPackages,
+  checkApiKey,
+  getPlugins,
+  generateTemplate,
+  WORKSPACE_APPS_DIR,
+  generateWorkspace,
+};
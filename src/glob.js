@@ -0,0 +1,42 @@
+// Minimal glob matching for `/`-separated paths: `**` matches any number of
+// directories, `*` and `?` stay within one path segment.
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// Whether filePath matches the globs, where globs starting with `!` exclude
+function matchesGlobs(filePath, globs) {
+  let matched = false;
+  for (const glob of globs) {
+    const negated = glob.startsWith('!');
+    const normalized = (negated ? glob.slice(1) : glob).replace(/^\.\//, '').replace(/\/$/, '');
+    if (globToRegExp(normalized).test(filePath)) {
+      matched = !negated;
+    }
+  }
+  return matched;
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlobs,
+};
@@ -0,0 +1,145 @@
+const axios = require("axios");
+const { EventEmitter } = require('events');
+const { DownloadError } = require('./errors');
+
+const MAX_CONCURRENT_REQUESTS = 5;
+const MAX_RETRIES = 4;
+const MAX_RETRY_DELAY = 10 * 1000;
+// Longest we'll wait for the GitHub rate limit to reset before giving up
+const MAX_RATE_LIMIT_WAIT = 60 * 1000;
+
+const GITHUB_HOSTS = ['api.github.com', 'raw.githubusercontent.com', 'codeload.github.com'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// Emits `request` ({ url, attempt, status, error, duration }) after every
+// attempt, and `retry` ({ url, attempt, delay, reason }) before a retry
+const httpEvents = new EventEmitter();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs at most `limit` tasks at a time, queueing the rest in order
+function createPool(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+const runInPool = createPool(MAX_CONCURRENT_REQUESTS);
+
+function getGithubToken() {
+  return process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+}
+
+// Only GitHub gets the token, never whatever other host a URL points at
+function withAuth(url, config) {
+  const token = getGithubToken();
+  if (!token || !GITHUB_HOSTS.includes(new URL(url).host)) {
+    return config;
+  }
+  return { ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } };
+}
+
+class RateLimitError extends DownloadError {
+  constructor(resetAt) {
+    const hint = getGithubToken() ? '' : ' Set GITHUB_TOKEN to raise the limit.';
+    super(`GitHub API rate limit exceeded, it resets at ${resetAt.toLocaleTimeString()}.${hint}`);
+    this.resetAt = resetAt;
+  }
+}
+
+// How long to wait before retrying a failed request, or null when it
+// shouldn't be retried
+function getRetryDelay(error, attempt) {
+  const { response } = error;
+
+  if (!response) {
+    return RETRYABLE_ERROR_CODES.includes(error.code) ? backoff(attempt) : null;
+  }
+
+  const { status, headers } = response;
+  const retryAfter = Number(headers['retry-after']);
+
+  // Primary rate limit: wait for the reset if it's close, otherwise fail
+  if ([403, 429].includes(status) && headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    const resetAt = new Date(Number(headers['x-ratelimit-reset']) * 1000);
+    const wait = resetAt.getTime() - Date.now();
+    if (wait > MAX_RATE_LIMIT_WAIT) {
+      throw new RateLimitError(resetAt);
+    }
+    return Math.max(wait, 0) + 1000;
+  }
+
+  // Secondary rate limits and overloaded servers say how long to back off
+  if ([403, 429, 503].includes(status) && headers['retry-after'] !== undefined && !Number.isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+
+  if (status === 429 || status >= 500) {
+    return backoff(attempt);
+  }
+  return null;
+}
+
+function backoff(attempt) {
+  const delay = 500 * 2 ** attempt;
+  return Math.min(delay + Math.random() * delay / 2, MAX_RETRY_DELAY);
+}
+
+// GET through the shared request pool, retrying rate limits, 429s, 5xx
+// responses and dropped connections with exponential backoff. Waiting
+// between attempts doesn't hold a slot in the pool.
+async function httpGet(url, config = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let started;
+    const request = { url, attempt: attempt + 1 };
+    try {
+      const response = await runInPool(() => {
+        started = Date.now();
+        return axios.get(url, withAuth(url, config));
+      });
+      httpEvents.emit('request', { ...request, status: response.status, duration: Date.now() - started });
+      return response;
+    } catch (error) {
+      httpEvents.emit('request', {
+        ...request,
+        status: error.response?.status ?? null,
+        error: error.response ? null : error.code || error.message,
+        duration: started ? Date.now() - started : 0,
+      });
+      const delay = getRetryDelay(error, attempt);
+      if (delay === null || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      httpEvents.emit('retry', {
+        url,
+        attempt: attempt + 1,
+        delay,
+        reason: error.response ? `HTTP ${error.response.status}` : error.code,
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  httpGet,
+  httpEvents,
+  createPool,
+  RateLimitError,
+};
@@ -0,0 +1,90 @@
+const path = require("path");
+const { matchesGlobs } = require('./glob');
+const { DEPENDENCY_FIELDS } = require('./workspace');
+
+// Test scaffolding the snippets carry for the monorepo's own CI, which
+// generated projects have no use for
+const DEFAULT_IGNORE = [
+  'e2e/**',
+  'tests/e2e/**',
+  '**/*.e2e.*',
+  'playwright.config.*',
+  'playwright-report/**',
+  'test-results/**',
+  'cypress/**',
+  'cypress.config.*',
+  'cypress.json',
+  '.github/**',
+  '.circleci/**',
+  '.gitlab-ci.yml',
+  'project.json',
+  'turbo.json',
+];
+
+// Tools whose config file, once removed, takes the scripts that run them and
+// their packages along
+const TOOLS = [
+  { config: /^playwright\.config\./, command: /\bplaywright\b/, packages: ['@playwright/test', 'playwright'] },
+  { config: /^cypress(\.config\.|\.json$)/, command: /\bcypress\b/, packages: ['cypress'] },
+];
+
+// The globs deciding which template files are skipped, in order, so later
+// ones win: the defaults, the manifest's `ignore`, `exclude`, then `include`
+// (which brings back files an earlier glob skipped)
+function getIgnoreRules({ ignore = [], exclude = [], include = [] } = {}) {
+  return [...DEFAULT_IGNORE, ...ignore, ...exclude, ...include.map(glob => `!${glob}`)];
+}
+
+const isIgnored = (filePath, rules) => matchesGlobs(filePath, rules);
+
+// Paths a script argument can refer to a file by, e.g. `./e2e/` for `e2e`
+const normalizeArgument = (argument) => argument.replace(/^['"]|['"]$/g, '').replace(/^\.\//, '').replace(/\/$/, '');
+
+// Removes the package.json scripts that use a removed file, or a directory
+// every file of which was removed, and the `file:` and `link:` packages in
+// one, along with the scripts and packages of tools whose config was removed.
+// Returns the changes, like rewriteManifest.
+function removeFileReferences(packageJson, { removed, kept }) {
+  const changes = [];
+  if (removed.length === 0) {
+    return changes;
+  }
+
+  const isRemovedDirectory = (dir) => removed.some(file => file.startsWith(`${dir}/`)) && !kept.some(file => file.startsWith(`${dir}/`));
+  const referencesRemoved = (command) => command.split(/[\s=]+/).map(normalizeArgument).some(argument => (
+    argument && (removed.includes(argument) || isRemovedDirectory(argument))
+  ));
+  const removedTools = TOOLS.filter(tool => removed.some(file => tool.config.test(path.posix.basename(file))));
+
+  for (const [name, command] of Object.entries(packageJson.scripts || {})) {
+    if (typeof command === 'string' && (referencesRemoved(command) || removedTools.some(tool => tool.command.test(command)))) {
+      delete packageJson.scripts[name];
+      changes.push({ field: 'scripts', name, from: command, to: null });
+    }
+  }
+
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, spec] of Object.entries(packageJson[field] || {})) {
+      if (typeof spec === 'string' && /^(file|link):/.test(spec) && referencesRemoved(spec.replace(/^(file|link):/, ''))) {
+        changes.push({ field, name, from: spec, to: null });
+        delete packageJson[field][name];
+      }
+    }
+    for (const name of removedTools.flatMap(tool => tool.packages)) {
+      if (packageJson[field]?.[name] === undefined) continue;
+      changes.push({ field, name, from: packageJson[field][name], to: null });
+      delete packageJson[field][name];
+    }
+    if (packageJson[field] && Object.keys(packageJson[field]).length === 0) {
+      delete packageJson[field];
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_IGNORE,
+  getIgnoreRules,
+  isIgnored,
+  removeFileReferences,
+};
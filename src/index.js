@@ -3,501 +3,1093 @@
 const inquirer = require("inquirer");
 const fs = require("fs-extra");
 const path = require("path");
-const axios = require("axios");
+const util = require('util');
+const EventEmitter = require('events');
 const ProgressBar = require('progress');
 const chalk = require('chalk');
+const { parseArgs, getHelpText, promptMissing } = require('./cli');
+const { httpEvents } = require('./http');
+const { checkTargetDir } = require('./staging');
+const {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  getInstallCommand,
+  getRunCommand,
+  getNextStepScripts,
+  installDependencies,
+  isInsideGitRepo,
+  initGitRepo,
+} = require('./package-manager');
+const { getCacheDir, warmCache, listCacheEntries, pruneCache } = require('./cache');
+const { loadWorkspace } = require('./workspace');
+const { upgradeProject } = require('./upgrade');
+const { DEFAULT_CONCURRENCY, DEFAULT_STEP_TIMEOUT, verifyTemplates, describeFailure, formatJUnitReport } = require('./verify');
+const { DEFAULT_BUILDER_API_URL, validateApiKey } = require('./builder-api');
+const { categorizeByName, getTemplateCatalog, getTemplateInfo, getTemplateVariables, countBy } = require('./templates');
+const { validateVariable } = require('./variables');
+const { loadConfig } = require('./config');
+const { getRegistryUrl, fetchPackageMetadata, resolveVersion, getVersionChoices, resolveSdkVersions } = require('./registry');
+const {
+  GITHUB_REPO,
+  GITHUB_REF,
+  ROOT_EXAMPLES_DIR,
+  createReporter,
+  getSource,
+  getExampleFolders,
+  getTemplateSdkPackages,
+  checkApiKey,
+  getPlugins,
+  generateTemplate,
+  generateWorkspace,
+} = require('./generate');
+const { log, configureLog, isLevelEnabled } = require('./log');
+const errors = require('./errors');
+const { version: packageVersion } = require('../package.json');
+
+// Value of the "Other" choice in the SDK version list
+const OTHER_VERSION = '__other__';
 
-const ROOT_EXAMPLES_DIR = "packages/sdks/snippets";
-const GITHUB_RAW_URL = "https://raw.githubusercontent.com/BuilderIO/builder/main";
-const GITHUB_HTML_URL = "https://github.com/BuilderIO/builder/tree/main";
+// The source options --repo, --ref and --path give when they aren't passed,
+// i.e. from their environment variables
+const getDefaultSourceOptions = () => getSourceOptions(parseArgs([]).options);
 
+// Where templates are read from by default, as of when this module loaded
+const defaultSourceOptions = getDefaultSourceOptions();
+const defaultRepo = defaultSourceOptions.repo || GITHUB_REPO;
+const defaultRef = defaultSourceOptions.ref || GITHUB_REF;
 const CONSTANTS = {
-  ROOT_EXAMPLES_DIR,
-  GITHUB_HTML_URL,
-  GITHUB_RAW_URL
+  GITHUB_REPO: defaultRepo,
+  GITHUB_REF: defaultRef,
+  ROOT_EXAMPLES_DIR: defaultSourceOptions.examplesDir || ROOT_EXAMPLES_DIR,
+  GITHUB_HTML_URL: `https://github.com/${defaultRepo}/tree/${defaultRef}`,
+  GITHUB_RAW_URL: `https://raw.githubusercontent.com/${defaultRepo}/${defaultRef}`,
 };
 
 const utils = {
   categorizeTemplate(templateName) {
-    const isGen1 = templateName.startsWith('gen1-');
-    const gen = isGen1 ? 'Gen1' : 'Gen2';
+    return categorizeByName(templateName);
+  },
 
-    if (isGen1) {
-      templateName = templateName.replace('gen1-', '');
-    }
-    
-    if (templateName.startsWith('react-native')) {
-      return { framework: 'React Native', gen };
-    }
-    if (templateName.startsWith('react-sdk')) {
-      return { framework: 'Next.js', gen };
+  validateProjectName(input) {
+    if (!input.length) return 'Project name is required';
+    if (!/^[a-zA-Z0-9-_]+$/.test(input)) return 'Project name can only contain letters, numbers, dashes and underscores';
+    return true;
+  },
+
+  // Takes getSource's options, which default to the environment variables
+  getTemplateUrl(templateName, sourceOptions = {}) {
+    return getSource({ ...getDefaultSourceOptions(), ...sourceOptions, cache: false }).getTemplateUrl(templateName);
+  },
+
+  log,
+};
+
+function getSourceOptions(options) {
+  return {
+    source: options.source,
+    localPath: options.localPath,
+    repo: options.repo,
+    ref: options.ref,
+    examplesDir: options.path,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    offline: options.offline,
+  };
+}
+
+function filterTemplates(templates, framework, gen, source = getSource()) {
+  const filteredTemplates = templates.filter(template => template.framework === framework && template.gen === gen);
+
+  if (filteredTemplates.length === 0) {
+    throw new errors.TemplateError(`No templates found for ${framework} with ${gen}`);
+  }
+
+  return filteredTemplates.map(template => ({
+    name: [
+      template.name,
+      template.description && `- ${template.description}`,
+      chalk.gray(`(${source.getTemplateUrl(template.name)})`),
+    ].filter(Boolean).join(' '),
+    value: template.name,
+  }));
+}
+
+// Draws the download progress the generator reports as a progress bar
+function createProgressPrinter() {
+  let bar;
+  let done = 0;
+  return ({ unit, done: nowDone, total, files, file }) => {
+    const tokens = { files, file: file.padEnd(30).slice(0, 30) };
+    if (nowDone === 0 && files === 0) {
+      done = 0;
+      bar = unit === 'entries'
+        ? new ProgressBar('  extracting :files files ' + chalk.gray(':file'), { total: Infinity })
+        : new ProgressBar(`  downloading [:bar] ${unit === 'files' ? ':current/:total' : ':files files'} :percent :etas ` + chalk.gray(':file'), {
+          complete: '=',
+          incomplete: ' ',
+          width: 20,
+          total: total || 1,
+        });
+      return;
     }
+    bar.tick(nowDone - done, tokens);
+    done = nowDone;
+  };
+}
 
-    const frameworkPatterns = {
-      'angular': {
-        name: 'Angular',
-        match: (name) => name.startsWith('angular'),
-      },
-      'solidjs': {
-        name: 'SolidJS',
-        match: (name) => name.startsWith('solidjs'),
-      },
-      'react': {
-        name: 'React',
-        match: (name) => name === 'react' || name.startsWith('react-') && !name.startsWith('react-native') && !name.startsWith('react-sdk'),
-      },
-      'hydrogen': {
-        name: 'Hydrogen',
-        match: (name) => name.startsWith('hydrogen'),
-      },
-      'next': {
-        name: 'Next.js',
-        match: (name) => name.startsWith('next'),
-      },
-      'vue': {
-        name: 'Vue',
-        match: (name) => name === 'vue',
-      },
-      'nuxt': {
-        name: 'Nuxt',
-        match: (name) => name.startsWith('nuxt'),
-      },
-      'qwik': {
-        name: 'Qwik',
-        match: (name) => name.startsWith('qwik'),
-      },
-      'remix': {
-        name: 'Remix',
-        match: (name) => name.startsWith('remix'),
-      },
-      'svelte': {
-        name: 'Svelte',
-        match: (name) => name === 'svelte',
-      },
-      'sveltekit': {
-        name: 'SvelteKit',
-        match: (name) => name.startsWith('sveltekit'),
-      }
-    };
-    
-    for (const [_, framework] of Object.entries(frameworkPatterns)) {
-      if (framework.match(templateName)) {
-        return { framework: framework.name, gen };
-      }
+// Hides credentials in the URLs --verbose prints
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const name of ['apiKey', 'token', 'access_token']) {
+    if (parsed.searchParams.has(name)) {
+      parsed.searchParams.set(name, '***');
     }
+  }
+  return parsed.toString();
+}
 
-    return null;
-  },
+// Prints what the generator reports as log lines and, if asked, a progress bar
+function attachTextPrinter(events, { progressBar }) {
+  events.on('log', ({ level, formatted }) => log[level](formatted));
+  events.on('request', ({ url, attempt, status, error, duration }) => {
+    log.debug(`GET ${url} ${status ?? error} ${duration}ms${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+  });
+  if (progressBar) {
+    events.on('progress', createProgressPrinter());
+  }
+}
 
-  getTemplateUrl(templateName) {
-    return `${GITHUB_HTML_URL}/${ROOT_EXAMPLES_DIR}/${templateName}`;
-  },
+// With --json, every line on stdout is one of these events
+function writeEvent(type, event) {
+  process.stdout.write(`${JSON.stringify({ type, ...event })}\n`);
+}
 
-  log: {
-    info: (...args) => console.log('ℹ', ...args),
-    success: (...args) => console.log(chalk.green('✔'), ...args),
-    error: (...args) => console.log(chalk.red('✖'), ...args),
-    warn: (...args) => console.log(chalk.yellow('⚠'), ...args),
-    title: (...args) => console.log(chalk.bold('\n🔨', ...args)),
+// Writes what the generator reports as newline-delimited JSON: `template`,
+// `file`, `transform`, `warning`, `log`, `request` (with --verbose) and `done`.
+// `error` is written by the error handler.
+function attachEventStream(events) {
+  events.on('log', ({ level, message }) => {
+    if (level === 'warn') {
+      writeEvent('warning', { message });
+    } else if (isLevelEnabled(level)) {
+      writeEvent('log', { level, message });
+    }
+  });
+  events.on('template', event => writeEvent('template', event));
+  let files = 0;
+  events.on('progress', ({ template, unit, total, files: nowFiles, file }) => {
+    if (nowFiles > files) {
+      writeEvent('file', { template, path: file, count: nowFiles, total: unit === 'files' ? total : null });
+    }
+    files = nowFiles;
+  });
+  events.on('transform', event => writeEvent('transform', event));
+  events.on('request', event => writeEvent('request', event));
+  events.on('done', event => writeEvent('done', event));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Renders `/`-separated paths as an indented tree, directories first
+function formatFileTree(paths) {
+  const root = {};
+  for (const filePath of paths) {
+    let node = root;
+    for (const segment of filePath.split('/')) {
+      node = node[segment] = node[segment] || {};
+    }
   }
-};
 
-async function getExampleFolders() {
-  try {
-    const response = await axios.get(`${GITHUB_HTML_URL}/${ROOT_EXAMPLES_DIR}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
+  const render = (node, prefix) => {
+    const entries = Object.entries(node).sort(([a, aChildren], [b, bChildren]) => {
+      const aIsDir = Object.keys(aChildren).length > 0;
+      const bIsDir = Object.keys(bChildren).length > 0;
+      return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1;
     });
+    return entries.flatMap(([name, children], i) => {
+      const last = i === entries.length - 1;
+      const isDir = Object.keys(children).length > 0;
+      return [
+        `${prefix}${last ? '└── ' : '├── '}${isDir ? chalk.cyan(`${name}/`) : name}`,
+        ...render(children, `${prefix}${last ? '    ' : '│   '}`),
+      ];
+    });
+  };
+  return render(root, '  ');
+}
 
-    const html = response.data;
+const matchesOption = (value, option) => !option || value.toLowerCase() === option.toLowerCase();
+
+async function runListCommand(options) {
+  const source = getSource(getSourceOptions(options));
+  const templates = (await getTemplateCatalog(source))
+    .filter(template => matchesOption(template.framework, options.framework) && matchesOption(template.gen, options.gen))
+    .map(template => ({ ...template, url: source.getTemplateUrl(template.name) }));
+
+  if (options.json) {
+    console.log(JSON.stringify(templates, null, 2));
+    return;
+  }
 
-    // Extract JSON data from the embedded script tag
-    const jsonDataMatch = html.match(/<script type="application\/json" data-target="react-app\.embeddedData">(.+?)<\/script>/s);
-    
-    if (!jsonDataMatch || !jsonDataMatch[1]) {
-      throw new Error("Could not find embedded data in GitHub HTML");
+  if (templates.length === 0) {
+    utils.log.info('No templates match');
+    return;
+  }
+  for (const { value: framework } of countBy(templates, 'framework')) {
+    console.log(`\n${chalk.bold(framework)}`);
+    for (const template of templates.filter(t => t.framework === framework)) {
+      const description = template.description ? ` ${template.description}` : '';
+      console.log(`  ${template.name} ${chalk.gray(template.gen)}${description}`);
+      console.log(chalk.gray(`    ${template.url}`));
     }
-    
-    const jsonData = JSON.parse(jsonDataMatch[1]);
-    const treeItems = jsonData.payload.tree.items;
-    
-    const examples = treeItems
-      .filter(item => item.contentType === "directory")
-      .map(item => item.name);
-    
-    return examples;
-  } catch (error) {
-    console.error("Error fetching examples:", error.message);
-    process.exit(1);
   }
 }
 
-async function getFilesInDirectory(dirPath) {
-  try {
-    // Encode the directory path for the URL
-    const encodedDirPath = dirPath.split('/')
-      .map(segment => encodeURIComponent(segment))
-      .join('/');
-      
-    const response = await axios.get(`${GITHUB_HTML_URL}/${encodedDirPath}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+async function runInfoCommand([template], options) {
+  if (!template) {
+    throw new errors.UsageError('Name the template to show, e.g. `info nextjs-app-dir`');
+  }
+  const source = getSource(getSourceOptions(options));
+  const info = await getTemplateInfo(source, template);
 
-    const html = response.data;
-    
-    const jsonDataMatch = html.match(/<script type="application\/json" data-target="react-app\.embeddedData">(.+?)<\/script>/s);
-    
-    if (!jsonDataMatch || !jsonDataMatch[1]) {
-      throw new Error("Could not find embedded data in GitHub HTML");
+  if (options.json) {
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  const listEntries = (entries) => {
+    if (entries.length === 0) {
+      console.log(chalk.gray('  none'));
     }
-    
-    const jsonData = JSON.parse(jsonDataMatch[1]);
-    const treeItems = jsonData.payload.tree.items;
-    
-    const files = treeItems
-      .filter(item => item.contentType === "file")
-      .map(item => item.name);
-      
-    const dirs = treeItems
-      .filter(item => item.contentType === "directory")
-      .map(item => item.name);
-
-    return { files, dirs };
-  } catch (error) {
-    console.error(`Error fetching directory contents: ${dirPath}`, error.message);
-    return { files: [], dirs: [] };
+    entries.forEach(([name, value]) => console.log(`  ${name} ${chalk.gray(value)}`));
+  };
+
+  utils.log.title(info.name);
+  if (info.description) console.log(info.description);
+  console.log(`${info.framework || 'Unknown framework'} ${chalk.gray(info.gen || '')}`);
+  console.log(chalk.gray(info.url));
+
+  const totalSize = info.files.reduce((total, file) => total + (file.size || 0), 0);
+  console.log(chalk.bold(`\nFiles (${info.files.length}${totalSize ? `, ${formatBytes(totalSize)}` : ''})`));
+  formatFileTree(info.files.map(file => file.path)).forEach(line => console.log(line));
+
+  console.log(chalk.bold('\nDependencies'));
+  listEntries(Object.entries(info.dependencies));
+  console.log(chalk.bold('\nDev dependencies'));
+  listEntries(Object.entries(info.devDependencies));
+  console.log(chalk.bold('\nScripts'));
+  listEntries(Object.entries(info.scripts));
+  console.log(chalk.bold('\nVariables'));
+  listEntries(info.variables.map(variable => [
+    variable.name,
+    [variable.message, variable.default !== undefined && `default: ${variable.default}`, variable.choices && `one of: ${variable.choices.join(', ')}`]
+      .filter(Boolean)
+      .join(', '),
+  ]));
+
+  if (info.readme) {
+    console.log(chalk.bold('\nREADME'));
+    console.log(info.readme.split('\n').map(line => `  ${line}`).join('\n'));
   }
 }
 
-async function downloadFile(filePath, targetPath) {
-  try {
-    // Encode the file path for the URL
-    const encodedFilePath = filePath.split('/')
-      .map(segment => encodeURIComponent(segment))
-      .join('/');
-      
-    const response = await axios.get(`${GITHUB_RAW_URL}/${encodedFilePath}`, {
-      responseType: 'text',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-    await fs.outputFile(targetPath, response.data);
-    return { success: true, path: filePath };
-  } catch (error) {
-    if (error.response?.status !== 404) {
-      console.error(`Error downloading ${filePath}:`, error.message);
+const PLAN_ACTIONS = {
+  create: chalk.green('+ create   '),
+  overwrite: chalk.yellow('~ overwrite'),
+  delete: chalk.red('- delete   '),
+  unchanged: chalk.gray('= unchanged'),
+};
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+function printPlanFiles(plan) {
+  const changed = plan.files.filter(file => file.action !== 'unchanged');
+  const unchanged = plan.files.length - changed.length;
+  console.log(chalk.bold(`\nFiles (${plan.files.length}${unchanged ? `, ${unchanged} unchanged` : ''})`));
+  changed.forEach(file => console.log(`  ${PLAN_ACTIONS[file.action]} ${file.path}`));
+}
+
+// What the built-in plugins did to one project. In a workspace, `prefix` is
+// the app's directory.
+function printPlanReport(report, prefix = '') {
+  if (report.ignored.length > 0) {
+    console.log(chalk.bold(`\n${prefix}Left out`));
+    report.ignored.forEach(file => console.log(chalk.gray(`  ${file}`)));
+  }
+
+  if (report.rejected.length > 0) {
+    console.log(chalk.bold(`\n${prefix}Skipped, unsafe file names`));
+    report.rejected.forEach(({ path: filePath, reason }) => console.log(chalk.yellow(`  ${filePath}: ${reason}`)));
+  }
+
+  if (report.renamed.length > 0) {
+    console.log(chalk.bold(`\n${prefix}Decoded file names`));
+    report.renamed.forEach(({ from, to }) => console.log(`  ${from} → ${to}`));
+  }
+
+  const variables = Object.entries(report.variables.values);
+  if (variables.length > 0) {
+    console.log(chalk.bold(`\n${prefix}Template variables`));
+    variables.forEach(([name, value]) => console.log(`  ${name}: ${chalk.cyan(value)}`));
+    report.variables.files.forEach(file => console.log(chalk.gray(`  substituted in ${file}`)));
+  }
+
+  console.log(chalk.bold(`\n${prefix}package.json`));
+  if (report.packageJson.length === 0) {
+    console.log(chalk.gray('  no changes'));
+  }
+  for (const { field, name, from, to } of report.packageJson) {
+    const key = name ? `${field} ${name}` : field;
+    console.log(`  ${key}: ${chalk.gray(formatValue(from))} → ${to === null ? chalk.red('removed') : chalk.cyan(to)}`);
+  }
+
+  console.log(chalk.bold(`\n${prefix}API key`));
+  if (!report.apiKey) {
+    console.log(chalk.gray('  not written, the project uses the demo space'));
+  } else {
+    console.log(`  ${chalk.cyan(report.apiKey.variable)} in ${chalk.cyan(report.apiKey.envFile)}`);
+    report.apiKey.rewrittenFiles.forEach(file => console.log(`  reads it in ${file}`));
+    report.apiKey.skippedFiles.forEach(file => console.log(chalk.yellow(`  still uses the demo key in ${file}`)));
+  }
+}
+
+function printPlanSteps(plan) {
+  console.log(chalk.bold('\nThen'));
+  console.log(`  ${plan.git ? 'initialize a git repository' : chalk.gray('no git repository')}`);
+  console.log(`  ${plan.install ? `install dependencies with ${plan.packageManager}` : chalk.gray('no install')}`);
+  console.log();
+}
+
+const formatSource = (plan) => `from ${plan.source}${plan.ref ? ` (${plan.ref.slice(0, 7)})` : ''}`;
+
+function printPlan(plan) {
+  utils.log.title(`Dry run: nothing was written to ${plan.projectDir}`);
+  console.log(`${chalk.cyan(plan.template)} ${chalk.gray(formatSource(plan))}`);
+  console.log(chalk.gray(`plugins: ${plan.plugins.join(', ')}`));
+  printPlanFiles(plan);
+  printPlanReport(plan);
+  printPlanSteps(plan);
+}
+
+function printWorkspacePlan(plan) {
+  utils.log.title(`Dry run: nothing was written to ${plan.projectDir}`);
+  console.log(`${chalk.cyan(`${plan.apps.length} apps`)} ${chalk.gray(formatSource(plan))}`);
+  console.log(chalk.gray(`plugins: ${plan.plugins.join(', ')}`));
+  plan.apps.forEach(app => console.log(`  ${app.dir} ${chalk.gray(`${app.template}, ${app.framework || 'unknown framework'} ${app.gen || ''}`.trimEnd())}`));
+  printPlanFiles(plan);
+  plan.apps.forEach(app => printPlanReport(app, `${app.dir}: `));
+  printPlanSteps(plan);
+}
+
+// `template` or `template:name`
+function parseWorkspaceApp(entry) {
+  const [template, name = template] = entry.split(':');
+  return { template, name };
+}
+
+// `--var name=value` flags as { name: value }
+function parseVariableFlags(entries = []) {
+  return Object.fromEntries(entries.map(entry => {
+    const [name, value] = entry.split(/=(.*)/s);
+    if (!name || value === undefined) {
+      throw new errors.UsageError(`Invalid value for --var: "${entry}". Expected name=value`);
     }
-    return { success: false, path: filePath };
+    return [name, value];
+  }));
+}
+
+// Values for the template's variables, from --var, then the config file, then
+// the prompts (or their defaults)
+async function getVariableValues(templateVariables, options, promptOptions, reporter) {
+  const flags = parseVariableFlags(options.var);
+  const unknown = Object.keys(flags).filter(name => !templateVariables.some(variable => variable.name === name));
+  if (unknown.length > 0) {
+    reporter.log.warn(`Ignoring --var ${unknown.join(', ')}: no such template variable`);
   }
+  if (templateVariables.length === 0) {
+    return {};
+  }
+
+  const presets = { ...(await loadConfig({ configPath: options.config })).variables, ...flags };
+  return promptMissing(templateVariables.map(variable => ({
+    type: variable.choices ? 'list' : 'input',
+    name: variable.name,
+    flag: `var ${variable.name}`,
+    message: `${variable.message}:`,
+    choices: variable.choices,
+    default: variable.default,
+    optional: !variable.required,
+    validate: (value) => validateVariable(variable, value),
+  })), Object.fromEntries(templateVariables.map(variable => [variable.name, presets[variable.name]])), promptOptions);
 }
 
-async function downloadDirectory(dirPath, targetDir, templateName, progressBar) {
-  const { files, dirs } = await getFilesInDirectory(dirPath);
-  let downloadedFiles = 0;
-
-  // Update progress bar total with newly discovered files
-  progressBar.total += files.length;
-  progressBar.curr = Math.min(progressBar.curr, progressBar.total);
-
-  // Create download promises for all files in current directory
-  const downloadPromises = files.map(file => {
-    const fullPath = `${dirPath}/${file}`;
-    const relativePath = fullPath.replace(`${ROOT_EXAMPLES_DIR}/${templateName}/`, '');
-    const targetPath = path.join(targetDir, relativePath);
-    return downloadFile(fullPath, targetPath).then(result => {
-      if (result.success) {
-        downloadedFiles++;
-        progressBar.tick({
-          file: relativePath.padEnd(30).slice(0, 30)
-        });
-      }
-      return result;
-    });
+async function runWorkspaceCommand(entries, options, { events, reporter, json }) {
+  if (entries.length === 0) {
+    throw new errors.UsageError('Name the templates to put in the workspace, e.g. `workspace nextjs-app-dir qwik-city:landing`');
+  }
+  const apps = entries.map(parseWorkspaceApp);
+  const source = getSource(getSourceOptions(options));
+  const promptOptions = {
+    yes: options.yes,
+    interactive: Boolean(process.stdin.isTTY && process.stdout.isTTY && !json),
+  };
+
+  const catalog = await getTemplateCatalog(source);
+  const unknown = apps.filter(app => !catalog.some(template => template.name === app.template));
+  if (unknown.length > 0) {
+    throw new errors.TemplateError(`Not found in ${source.label}: ${unknown.map(app => app.template).join(', ')}`);
+  }
+
+  const { directory, apiKey, install } = await promptMissing([
+    {
+      type: "input",
+      name: "directory",
+      flag: 'name',
+      message: "Workspace name:",
+      default: 'my-builder-workspace',
+      validate: utils.validateProjectName,
+    },
+    {
+      type: "input",
+      name: "apiKey",
+      flag: 'api-key',
+      message: "Your Builder.io API key, shared by every app (leave empty to use the demo space):",
+      optional: true,
+      validate: validateApiKey,
+      filter: (apiKey) => apiKey.trim(),
+    },
+    {
+      type: 'confirm',
+      name: 'install',
+      message: 'Install dependencies?',
+      // Without a terminal, installing is opt-in (--install)
+      default: promptOptions.interactive,
+    },
+  ], {
+    directory: options.name,
+    apiKey: options.apiKey,
+    install: options.install,
+  }, promptOptions);
+
+  // One value per variable name, shared by every app that declares it
+  const templateVariables = (await Promise.all([...new Set(apps.map(app => app.template))].map(template => getTemplateVariables(source, template))))
+    .flat()
+    .filter((variable, i, all) => all.findIndex(other => other.name === variable.name) === i);
+  const variables = await getVariableValues(templateVariables, options, promptOptions, reporter);
+
+  const projectDir = path.join(process.cwd(), directory);
+  const targetOptions = { force: options.force, merge: options.merge };
+  await checkTargetDir(projectDir, targetOptions);
+
+  if (apiKey && options.verifyKey !== false && !options.offline) {
+    for (const template of new Set(apps.map(app => app.template))) {
+      await checkApiKey(apiKey, source, template, options.builderApiUrl || DEFAULT_BUILDER_API_URL, reporter);
+    }
+  }
+
+  const packageManager = options.packageManager || await detectPackageManager(projectDir);
+  reporter.log.info(options.dryRun ? `\nPlanning workspace in ${chalk.cyan(directory)}...` : `\nCreating workspace in ${chalk.cyan(directory)}...`);
+
+  const result = await generateWorkspace({
+    directory: projectDir,
+    apps,
+    source,
+    apiKey,
+    version: options.sdkVersion,
+    variables,
+    include: options.include,
+    exclude: options.exclude,
+    packageManager,
+    plugins: await getPlugins(options.config, reporter),
+    registry: options.registry,
+    archive: options.archive,
+    ...targetOptions,
+    dryRun: options.dryRun,
+    events,
+    silent: true,
   });
+  if (Object.keys(result.sdkVersions).length > 0) {
+    reporter.log.info(`Every app uses ${Object.entries(result.sdkVersions).map(([name, pinned]) => chalk.cyan(`${name}@${pinned}`)).join(', ')}`);
+  }
 
-  // Download files concurrently with a limit of 5 simultaneous downloads
-  const chunkSize = 5;
-  for (let i = 0; i < downloadPromises.length; i += chunkSize) {
-    const chunk = downloadPromises.slice(i, i + chunkSize);
-    await Promise.all(chunk);
+  if (options.dryRun) {
+    const plan = {
+      ...result,
+      git: options.git !== false && !await isInsideGitRepo(await fs.pathExists(projectDir) ? projectDir : path.dirname(projectDir)),
+      install,
+    };
+    if (json) {
+      events.emit('done', { result: plan });
+    } else if (isLevelEnabled('info')) {
+      printWorkspacePlan(plan);
+    }
+    return;
   }
 
-  // Process subdirectories concurrently
-  const dirPromises = dirs.map(dir => {
-    const fullPath = `${dirPath}/${dir}`;
-    return downloadDirectory(fullPath, targetDir, templateName, progressBar);
+  const runScripts = [];
+  for (const app of result.apps) {
+    const scripts = await getNextStepScripts(path.join(projectDir, app.dir));
+    runScripts.push(...scripts.map(script => `${script}:${app.name}`));
+  }
+  await finishProject(result, { directory, options, install, packageManager, runScripts, reporter, events, json });
+}
+
+const UPGRADE_ACTIONS = {
+  create: chalk.green('+ create  '),
+  update: chalk.cyan('~ update  '),
+  merge: chalk.cyan('~ merge   '),
+  delete: chalk.red('- delete  '),
+  conflict: chalk.yellow('! conflict'),
+};
+
+async function runUpgradeCommand([directory = '.'], options, events) {
+  const result = await upgradeProject({
+    ...getSourceOptions(options),
+    directory,
+    version: options.sdkVersion,
+    variables: parseVariableFlags(options.var),
+    dryRun: options.dryRun,
+    config: options.config,
+    registry: options.registry,
+    events,
+    silent: true,
   });
 
-  const dirResults = await Promise.all(dirPromises);
-  downloadedFiles += dirResults.reduce((sum, result) => sum + result, 0);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (result.upToDate) {
+    return;
+  }
 
-  return downloadedFiles;
+  const changed = result.files.filter(file => file.action !== 'unchanged');
+  utils.log.title(result.dryRun ? `Dry run: nothing was written to ${result.projectDir}` : `Upgraded ${result.template}`);
+  log.print(chalk.gray(`${result.from ? result.from.slice(0, 7) : 'local files'} → ${result.to ? result.to.slice(0, 7) : 'local files'}`));
+  if (changed.length === 0) {
+    log.print(chalk.gray('  no files changed'));
+  }
+  changed.forEach(file => log.print(`  ${UPGRADE_ACTIONS[file.action]} ${file.path}${file.reason ? chalk.gray(` (${file.reason})`) : ''}`));
+  log.print();
+
+  const conflicts = changed.filter(file => file.action === 'conflict');
+  if (conflicts.length > 0) {
+    utils.log.warn(`${conflicts.length} file(s) changed both in your project and in the template. Resolve the ${chalk.cyan('<<<<<<<')} markers before committing`);
+  }
 }
 
-async function decodeFilePaths(directory) {
-  const items = await fs.readdir(directory, { withFileTypes: true });
-  
-  for (const item of items) {
-    const currentPath = path.join(directory, item.name);
-    const decodedName = decodeURIComponent(item.name);
-    
-    if (item.name !== decodedName) {
-      const decodedPath = path.join(directory, decodedName);
-      try {
-        await fs.rename(currentPath, decodedPath);
-        utils.log.info(`Decoded: ${item.name} → ${decodedName}`);
-      } catch (error) {
-        utils.log.warn(`Failed to decode ${item.name}: ${error.message}`);
-      }
-    }
-    
-    if (item.isDirectory()) {
-      await decodeFilePaths(path.join(directory, decodedName));
-    }
+function parsePositiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new errors.UsageError(`Invalid value for ${flag}: "${value}". Expected a whole number above 0`);
   }
+  return number;
 }
 
-async function downloadTemplate(template, targetDir) {
-  try {
-    const templatePath = `${ROOT_EXAMPLES_DIR}/${template}`;
-    
-    // Create progress bar with initial total of 0
-    const progressBar = new ProgressBar('  downloading [:bar] :current/:total :percent :etas ' + chalk.gray(':file'), {
-      complete: '=',
-      incomplete: ' ',
-      width: 20,
-      total: 0
-    });
+const formatDuration = (ms) => (ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`);
 
-    const downloadedFiles = await downloadDirectory(templatePath, targetDir, template, progressBar);
+// How much of a failed step's output to show; the reports have all of it
+const FAILURE_OUTPUT_LINES = 20;
 
-    if (downloadedFiles === 0) {
-      utils.log.error('No files were downloaded. The template might be empty or not exist.');
-      process.exit(1);
-    }
+async function runVerifyCommand(names, options) {
+  const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : parsePositiveInteger(options.concurrency, '--concurrency');
+  const timeout = options.timeout === undefined ? DEFAULT_STEP_TIMEOUT : parsePositiveInteger(options.timeout, '--timeout') * 1000;
+  const source = getSource(getSourceOptions(options));
+  const catalog = await getTemplateCatalog(source);
 
-    // Decode URL-encoded file paths after downloading
-    await decodeFilePaths(targetDir);
-
-    // Create a basic package.json if it doesn't exist
-    const packagePath = path.join(targetDir, 'package.json');
-    if (!await fs.pathExists(packagePath)) {
-      const basicPackage = {
-        name: path.basename(targetDir),
-        version: '0.1.0',
-        private: true,
-      };
-      await fs.writeJSON(packagePath, basicPackage, { spaces: 2 });
-    }
+  const requested = options.template ? [...names, options.template] : names;
+  const unknown = requested.filter(name => !catalog.some(template => template.name === name));
+  if (unknown.length > 0) {
+    throw new errors.TemplateError(`Not found in ${source.label}: ${unknown.join(', ')}`);
+  }
+  const templates = catalog.filter(template => (requested.length === 0 || requested.includes(template.name))
+    && matchesOption(template.framework, options.framework)
+    && matchesOption(template.gen, options.gen));
+  if (templates.length === 0) {
+    throw new errors.TemplateError('No templates match');
+  }
 
-    utils.log.success(`\nTemplate files downloaded successfully! (${chalk.cyan(downloadedFiles)} files)`);
-  } catch (error) {
-    utils.log.error("\nError downloading template:", error.message);
-    process.exit(1);
+  const outDir = path.resolve(options.outDir || 'test-results');
+  utils.log.info(`Verifying ${chalk.cyan(templates.length)} template(s) from ${chalk.cyan(source.label)} in ${chalk.cyan(outDir)}`);
+
+  const report = await verifyTemplates(source, templates, {
+    outDir,
+    concurrency,
+    timeout,
+    packageManager: options.packageManager,
+    apiKey: options.apiKey,
+    config: options.config,
+    registry: options.registry,
+    archive: options.archive,
+    include: options.include,
+    exclude: options.exclude,
+    offline: options.offline,
+    onResult: (result) => {
+      const ran = result.steps.filter(step => step.status !== 'skipped').map(step => step.name).join(', ');
+      if (result.status === 'passed') {
+        utils.log.success(`${result.template} ${chalk.gray(`${ran} in ${formatDuration(result.duration)}`)}`);
+        return;
+      }
+      const failed = result.steps.filter(step => step.status === 'failed' || step.status === 'timeout');
+      utils.log.error(`${result.template}: ${failed.map(describeFailure).join('; ')}`);
+      const output = failed[0].output.trim();
+      if (output) {
+        log.print(chalk.gray(output.split('\n').slice(-FAILURE_OUTPUT_LINES).map(line => `    ${line}`).join('\n')));
+      }
+    },
+  });
+
+  if (options.junit) {
+    await fs.outputFile(path.resolve(options.junit), formatJUnitReport(report));
+    utils.log.info(`Wrote a JUnit report to ${chalk.cyan(options.junit)}`);
+  }
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    utils.log.title(`${report.passed} passed, ${report.failed} failed ${chalk.gray(`in ${formatDuration(report.duration)}`)}`);
+  }
+  if (report.failed > 0) {
+    throw new errors.VerifyError(`${report.failed} of ${report.results.length} template(s) failed verification`);
   }
 }
 
-async function updateWorkspaceVersions(projectDir, providedVersion = 'latest') {
-  const packageJsonPath = path.join(projectDir, 'package.json');
-  
-  try {
-    if (await fs.pathExists(packageJsonPath)) {
-      utils.log.info('Updating workspace dependencies...');
-      
-      const packageJson = await fs.readJson(packageJsonPath);
-      const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      
-      for (const [pkg, version] of Object.entries(dependencies)) {
-        if (version.includes('workspace:*')) {
-          if (packageJson.dependencies?.[pkg]) {
-            packageJson.dependencies[pkg] = providedVersion;
-          }
-          if (packageJson.devDependencies?.[pkg]) {
-            packageJson.devDependencies[pkg] = providedVersion;
-          }
+async function runCacheCommand([action, ...templates], options) {
+  const cacheDir = getCacheDir(options.cacheDir);
+
+  switch (action) {
+    case 'list': {
+      const entries = await listCacheEntries(cacheDir);
+      utils.log.title('Template cache');
+      console.log(chalk.gray(cacheDir));
+      if (entries.length === 0) {
+        utils.log.info('\nThe cache is empty');
+        return;
+      }
+      for (const entry of entries) {
+        const refs = entry.refs.length ? entry.refs.join(', ') : chalk.gray('no refs');
+        console.log(`\n${chalk.cyan(entry.repo)} ${chalk.gray(entry.commit.slice(0, 7))} (${refs}) ${chalk.gray(entry.examplesDir ?? 'no templates')}`);
+        for (const template of entry.templates) {
+          const status = template.complete ? chalk.green('✔') : chalk.yellow('⚠');
+          console.log(`  ${status} ${template.name} ${chalk.gray(`${template.cachedFiles}/${template.files} files, ${formatBytes(template.size)}`)}`);
         }
       }
-
-      packageJson.name = path.basename(projectDir);
-      delete packageJson.scripts.test;
-      
-      await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+      return;
     }
-  } catch (error) {
-    utils.log.warn('Error updating workspace versions:', error.message);
+    case 'prune': {
+      const pruned = await pruneCache(cacheDir, { all: options.all });
+      const size = pruned.reduce((sum, entry) => sum + entry.templates.reduce((total, t) => total + t.size, 0), 0);
+      utils.log.success(`Removed ${chalk.cyan(pruned.length)} cached snapshot(s), ${formatBytes(size)}`);
+      return;
+    }
+    case 'warm': {
+      if (options.offline) {
+        throw new errors.UsageError('The cache can\'t be warmed with --offline');
+      }
+      const source = getSource({ ...getSourceOptions(options), cache: true });
+      if (!source.cached) {
+        throw new errors.UsageError(`The ${source.type} source is not cached`);
+      }
+      const commit = await source.resolveRef();
+      utils.log.info(`Warming the cache for ${chalk.cyan(source.label)} ${chalk.gray(`(${commit.slice(0, 7)})`)}`);
+      const toWarm = templates.length ? templates : await source.listTemplates();
+      await warmCache(source, toWarm, (template, files) => {
+        utils.log.success(`${template} ${chalk.gray(`(${files} files)`)}`);
+      });
+      // Reading the workspace caches the manifests needed to rewrite dependencies offline
+      await loadWorkspace(source);
+      utils.log.success(`\nCached ${chalk.cyan(toWarm.length)} template(s) in ${chalk.cyan(cacheDir)}`);
+      return;
+    }
+    default:
+      throw new errors.UsageError(`Unknown cache command "${action || ''}". Expected one of: list, prune, warm`);
   }
 }
 
-async function updateApiKey(projectDir, newApiKey) {
-  if (!newApiKey) {
-    utils.log.warn('No API key provided, skipping API key update');
-    return;
-  }
-  
-  const defaultApiKey = 'ee9f13b4981e489a9a1209887695ef2b';
-  
-  try {
-    utils.log.info('Updating API keys...');
-    
-    const getAllFiles = async (dir) => {
-      const files = await fs.readdir(dir);
-      const filePaths = await Promise.all(
-        files.map(async file => {
-          const filePath = path.join(dir, file);
-          const stats = await fs.stat(filePath);
-          if (stats.isDirectory()) {
-            return getAllFiles(filePath);
-          } else {
-            return filePath;
-          }
-        })
-      );
-      return filePaths.flat();
-    };
+// Initializes git and installs dependencies in a generated project, then
+// prints the commands to run next (`runScripts` are package.json scripts)
+async function finishProject(result, { directory, options, install, packageManager, runScripts, reporter, events, json }) {
+  const { projectDir } = result;
 
-    const files = await getAllFiles(projectDir);
-    
-    const textExtensions = ['.js', '.jsx', '.ts', '.tsx', '.svelte', '.vue', '.html', '.json', '.env', '.yml', '.yaml', '.md'];
-    
-    for (const file of files) {
-      if (textExtensions.some(ext => file.toLowerCase().endsWith(ext))) {
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          if (content.includes(defaultApiKey)) {
-            const updatedContent = content.replace(new RegExp(defaultApiKey, 'g'), newApiKey);
-            await fs.writeFile(file, updatedContent);
-          }
-        } catch (error) {
-          utils.log.warn(`Error processing file ${file}:`, error.message);
+  if (options.git !== false) {
+    if (await isInsideGitRepo(projectDir)) {
+      reporter.log.info('Skipping git init, the project is already inside a git repository');
+    } else {
+      try {
+        const committed = await initGitRepo(projectDir);
+        if (committed) {
+          reporter.log.success('Initialized a git repository with an initial commit');
+        } else {
+          reporter.log.warn('Initialized a git repository, but could not make the initial commit');
         }
+      } catch (error) {
+        reporter.log.warn('Could not initialize a git repository:', error.message);
       }
     }
-  } catch (error) {
-    utils.log.warn('Error updating API keys:', error.message);
   }
+
+  let installed = false;
+  if (install) {
+    reporter.log.info(`Installing dependencies with ${chalk.cyan(packageManager)}...\n`);
+    try {
+      // The package manager's output goes to stderr with --json, and only its errors with --quiet
+      const stdio = json ? ['ignore', 2, 2] : options.quiet ? ['ignore', 'ignore', 'inherit'] : undefined;
+      await installDependencies(projectDir, packageManager, { stdio });
+      installed = true;
+    } catch (error) {
+      reporter.log.warn('Installing dependencies failed:', error.message);
+    }
+  }
+
+  reporter.log.success(`\nProject created successfully in ${chalk.cyan(projectDir)}`);
+
+  const formatCommand = ([command, ...args]) => `  ${command} ${chalk.cyan(args.join(' '))}`.trimEnd();
+  const nextSteps = [
+    ...(installed ? [] : [getInstallCommand(packageManager)]),
+    ...runScripts.map(script => getRunCommand(packageManager, script)),
+  ];
+
+  if (json) {
+    events.emit('done', { result: { ...result, git: options.git !== false, installed, packageManager, nextSteps: [['cd', directory], ...nextSteps] } });
+    return;
+  }
+  log.print(chalk.bold('\n📦 Next steps:'));
+  log.print(chalk.gray('\nRun these commands in your terminal:'));
+  log.print('\n  cd', chalk.cyan(directory));
+  nextSteps.forEach(command => log.print(formatCommand(command)));
+  log.print();
 }
 
-function filterTemplates(examples, framework, gen) {
-  const filteredExamples = examples.filter(example => {
-    const category = utils.categorizeTemplate(example);
-    return category?.framework === framework && category?.gen === gen;
+// Generation (of a project or a workspace) with --json streams events; every
+// other command prints one JSON document
+const isEventStream = (command, options) => Boolean(options.json && (!command || command === 'workspace'));
+
+async function run(command, args, options) {
+  if (options.help) {
+    console.log(getHelpText());
+    return;
+  }
+  if (options.version) {
+    console.log(packageVersion);
+    return;
+  }
+
+  if (options.quiet && (options.verbose || options.debug)) {
+    throw new errors.UsageError('--quiet can\'t be combined with --verbose or --debug');
+  }
+  const json = isEventStream(command, options);
+  configureLog({
+    // Keep stdout for the JSON
+    output: options.json ? console.error : console.log,
+    level: options.quiet ? 'warn' : options.verbose || options.debug ? 'debug' : 'info',
   });
 
-  if (filteredExamples.length === 0) {
-    utils.log.error(`No templates found for ${framework} with ${gen}`);
-    process.exit(1);
+  // Library functions report through events, which the CLI prints
+  const events = new EventEmitter();
+  const reporter = createReporter(events);
+  if (json) {
+    attachEventStream(events);
+  } else {
+    // A progress bar only makes sense on a terminal, and not in CI logs
+    const progressBar = Boolean(process.stderr.isTTY && !options.quiet && !process.env.CI && !process.env.NO_COLOR);
+    attachTextPrinter(events, { progressBar });
+  }
+  httpEvents.on('retry', ({ url, attempt, delay, reason }) => {
+    reporter.log.warn(`${reason} from ${new URL(url).host}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt})`);
+  });
+  if (options.verbose || options.debug) {
+    httpEvents.on('request', event => events.emit('request', { ...event, url: redactUrl(event.url) }));
   }
 
-  return filteredExamples.map(example => ({
-    name: `${example} ${chalk.gray(`(${utils.getTemplateUrl(example)})`)}`,
-    value: example,
-  }));
-}
+  if (options.packageManager && !PACKAGE_MANAGERS.includes(options.packageManager)) {
+    throw new errors.UsageError(`Invalid value for --package-manager: "${options.packageManager}". Expected one of: ${PACKAGE_MANAGERS.join(', ')}`);
+  }
 
-async function main() {
-  utils.log.title('Builder.io Project Generator');
-  console.log(chalk.gray('Create a new Builder.io project from templates\n'));
+  if (command === 'cache') {
+    await runCacheCommand(args, options);
+    return;
+  }
+  if (command === 'verify') {
+    await runVerifyCommand(args, options);
+    return;
+  }
+  if (command === 'upgrade') {
+    await runUpgradeCommand(args, options, events);
+    return;
+  }
+  if (command === 'workspace') {
+    await runWorkspaceCommand(args, options, { events, reporter, json });
+    return;
+  }
+  if (command === 'list') {
+    await runListCommand(options);
+    return;
+  }
+  if (command === 'info') {
+    await runInfoCommand(args, options);
+    return;
+  }
+  if (command) {
+    throw new errors.UsageError(`Unknown command "${command}". Run with --help for usage`);
+  }
 
-  const { directory, framework, gen } = await inquirer.prompt([
+  const source = getSource(getSourceOptions(options));
+  const promptOptions = {
+    yes: options.yes,
+    // Prompts would end up in the middle of the JSON
+    interactive: Boolean(process.stdin.isTTY && process.stdout.isTTY && !json),
+  };
+
+  if (!json) {
+    utils.log.title('Builder.io Project Generator');
+    log.print(chalk.gray('Create a new Builder.io project from templates\n'));
+  }
+
+  // Load plugins up front, so a broken config fails before any prompt
+  const plugins = await getPlugins(options.config, reporter);
+
+  const { directory } = await promptMissing([
     {
       type: "input",
       name: "directory",
+      flag: 'name',
       message: "Project name:",
       default: 'my-builder-project',
-      validate: (input) => {
-        if (!input.length) return 'Project name is required';
-        if (!/^[a-zA-Z0-9-_]+$/.test(input)) return 'Project name can only contain letters, numbers, dashes and underscores';
-        return true;
-      },
+      validate: utils.validateProjectName,
     },
+  ], {
+    directory: options.name,
+  }, promptOptions);
+
+  // Fail before downloading anything if the target can't be written to
+  const projectDir = path.join(process.cwd(), directory);
+  const targetOptions = { force: options.force, merge: options.merge };
+  await checkTargetDir(projectDir, targetOptions);
+
+  const commit = await source.resolveRef();
+  reporter.log.info(`Using templates from ${chalk.cyan(source.label)}${commit ? chalk.gray(` (${commit.slice(0, 7)})`) : ''}`);
+
+  reporter.log.info(chalk.magenta('Fetching available templates...'));
+  const catalog = await getTemplateCatalog(source);
+
+  if (catalog.length === 0) {
+    throw new errors.TemplateError('No templates found in the examples directory');
+  }
+  // A missing template is its own exit code, rather than just an invalid --template
+  const presetTemplate = options.template && catalog.find(({ name }) => name.toLowerCase() === options.template.toLowerCase());
+  if (options.template && !presetTemplate) {
+    throw new errors.TemplateError(`Template "${options.template}" not found in ${source.label}`);
+  }
+
+  // Only offer frameworks and generations that have templates
+  const withCounts = ({ value, count }) => ({
+    name: `${value} ${chalk.gray(`(${count} template${count === 1 ? '' : 's'})`)}`,
+    value,
+  });
+  const frameworks = countBy(catalog, 'framework');
+  const getGenerations = (framework) => countBy(catalog.filter(t => t.framework === framework), 'gen');
+
+  const { framework, gen, template } = await promptMissing([
     {
       type: 'list',
       name: 'framework',
       message: 'Select a framework:',
-      default: 'React',
-      choices: ['React', 'Next.js', 'Vue', 'Svelte', 'Angular', 'Nuxt', 'Qwik', 'Remix', 'SolidJS', 'SvelteKit', 'Vue', 'React Native'],
+      default: frameworks.some(({ value }) => value === 'React') ? 'React' : frameworks[0].value,
+      choices: frameworks.map(withCounts),
     },
     {
       type: 'list',
       name: 'gen',
       message: 'Select the generation of SDK:',
-      choices: ['Gen1', 'Gen2'],
-      default: 'Gen2',
+      choices: (answers) => getGenerations(answers.framework).map(withCounts),
+      default: (answers) => {
+        const generations = getGenerations(answers.framework).map(({ value }) => value);
+        return generations.includes('Gen2') ? 'Gen2' : generations[0];
+      },
     },
-  ]);
-
-  utils.log.info(chalk.magenta('Fetching available templates...'));
-  const examples = await getExampleFolders();
-
-  if (!examples || examples.length === 0) {
-    utils.log.error('No templates found in the examples directory');
-    process.exit(1);
-  }
-
-  const { template, apiKey, version } = await inquirer.prompt([
     {
       type: "list",
       name: "template",
       message: "Select a template:",
-      choices: filterTemplates(examples, framework, gen),
-      format: (template) => {
-        const choice = filterTemplates(examples, framework, gen)
-          .find(t => t.value === template);
-        console.log(chalk.gray(`\nTemplate URL: ${choice.url}`));
-        return template;
-      }
+      choices: (answers) => filterTemplates(catalog, answers.framework, answers.gen, source),
+      // Nothing to choose when there's only one
+      default: (answers) => {
+        const choices = filterTemplates(catalog, answers.framework, answers.gen, source);
+        return choices.length === 1 ? choices[0].value : undefined;
+      },
     },
+  ], {
+    // --template alone is enough, its framework and generation come from the catalog
+    framework: options.framework ?? presetTemplate?.framework,
+    gen: options.gen ?? presetTemplate?.gen,
+    template: options.template,
+  }, promptOptions);
+  reporter.log.info(`Template URL: ${chalk.gray(source.getTemplateUrl(template))}`);
+
+  // Offer the SDK versions that are actually published, when the registry can be reached
+  const sdkPackages = await getTemplateSdkPackages(source, template);
+  let sdkMetadata = [];
+  if (sdkPackages.length > 0 && !options.offline) {
+    try {
+      sdkMetadata = await Promise.all(sdkPackages.map(name => fetchPackageMetadata(name, getRegistryUrl(options.registry))));
+    } catch (error) {
+      reporter.log.warn(`${error.message}. The SDK version won't be checked`);
+    }
+  }
+  const [sdkPackage] = sdkMetadata;
+  const validateVersion = (spec) => Boolean(resolveVersion(sdkPackage, spec)) || `No published version of ${sdkPackage.name} matches "${spec}"`;
+
+  const { apiKey, version, customVersion, install } = await promptMissing([
     {
       type: "input",
       name: "apiKey",
-      message: "Your Builder.io API key:",
+      flag: 'api-key',
+      message: "Your Builder.io API key (leave empty to use the demo space):",
+      optional: true,
+      validate: validateApiKey,
+      filter: (apiKey) => apiKey.trim(),
     },
     {
-      type: "input",
+      type: sdkPackage ? 'list' : 'input',
       name: "version",
-      message: "Version of the SDK to use:",
-      default: 'latest',
+      flag: 'sdk-version',
+      message: sdkPackage ? `Version of ${sdkPackage.name} to use:` : "Version of the SDK to use:",
+      choices: sdkPackage && [
+        ...getVersionChoices(sdkPackage),
+        new inquirer.Separator(),
+        { name: 'Other (a dist-tag, version or range)', value: OTHER_VERSION },
+      ],
+      default: sdkPackage?.distTags.latest || 'latest',
+      validate: sdkPackage && validateVersion,
+      when: sdkPackages.length > 0,
+    },
+    {
+      type: 'input',
+      name: 'customVersion',
+      message: 'Dist-tag, version or range:',
+      validate: validateVersion,
+      when: (answers) => answers.version === OTHER_VERSION,
+    },
+    {
+      type: 'confirm',
+      name: 'install',
+      message: 'Install dependencies?',
+      // Without a terminal, installing is opt-in (--install)
+      default: promptOptions.interactive,
     }
-  ]);
+  ], {
+    apiKey: options.apiKey,
+    version: options.sdkVersion,
+    install: options.install,
+  }, promptOptions);
 
-  utils.log.info(`\nCreating project in ${chalk.cyan(directory)}...`);
-  const projectDir = path.join(process.cwd(), directory);
-  await fs.ensureDir(projectDir);
+  const variables = await getVariableValues(await getTemplateVariables(source, template), options, promptOptions, reporter);
+
+  if (apiKey && options.verifyKey !== false && !options.offline) {
+    await checkApiKey(apiKey, source, template, options.builderApiUrl || DEFAULT_BUILDER_API_URL, reporter);
+  }
+
+  const sdkVersion = (version === OTHER_VERSION ? customVersion : version) || 'latest';
+  let sdkVersions = {};
+  if (sdkPackage) {
+    const { versions, warnings } = resolveSdkVersions(sdkMetadata, sdkVersion);
+    warnings.forEach(warning => reporter.log.warn(warning));
+    sdkVersions = versions;
+    reporter.log.info(`Using ${Object.entries(versions).map(([name, pinned]) => chalk.cyan(`${name}@${pinned}`)).join(', ')}`);
+  }
 
-  await downloadTemplate(template, projectDir);
+  reporter.log.info(options.dryRun ? `\nPlanning project in ${chalk.cyan(directory)}...` : `\nCreating project in ${chalk.cyan(directory)}...`);
 
-  await updateWorkspaceVersions(projectDir, version);
+  const result = await generateTemplate({
+    directory: projectDir,
+    template,
+    source,
+    framework,
+    apiKey,
+    version: sdkVersion,
+    sdkVersions,
+    variables,
+    include: options.include,
+    exclude: options.exclude,
+    plugins,
+    archive: options.archive,
+    ...targetOptions,
+    dryRun: options.dryRun,
+    events,
+    silent: true,
+  });
 
-  await updateApiKey(projectDir, apiKey);
+  const packageManager = options.packageManager || await detectPackageManager(projectDir);
 
-  utils.log.success(`\nProject created successfully in ${chalk.cyan(projectDir)}`);
-  
-  console.log(chalk.bold('\n📦 Next steps:'));
-  console.log(chalk.gray('\nRun these commands in your terminal:'));
-  console.log('\n  cd', chalk.cyan(directory));
-  console.log('  npm', chalk.cyan('install'));
-  console.log('  npm', chalk.cyan('run dev'), '\n');
+  if (options.dryRun) {
+    const plan = {
+      ...result,
+      git: options.git !== false && !await isInsideGitRepo(await fs.pathExists(projectDir) ? projectDir : path.dirname(projectDir)),
+      install,
+      packageManager,
+    };
+    if (json) {
+      events.emit('done', { result: plan });
+    } else if (isLevelEnabled('info')) {
+      printPlan(plan);
+    }
+    return;
+  }
+
+  await finishProject(result, {
+    directory,
+    options,
+    install,
+    packageManager,
+    runScripts: await getNextStepScripts(projectDir),
+    reporter,
+    events,
+    json,
+  });
 }
 
-main().catch((error) => {
-  utils.log.error("Error:", error.message);
-  process.exit(1);
-});
+// Exits with the error's code (see EXIT_CODES in cli.js)
+async function main() {
+  let command;
+  let options = {};
+  try {
+    const { options: parsedOptions, positionals } = parseArgs(process.argv.slice(2));
+    options = parsedOptions;
+    [command] = positionals;
+    await run(command, positionals.slice(1), options);
+  } catch (error) {
+    const exitCode = errors.getExitCode(error);
+    if (isEventStream(command, options)) {
+      writeEvent('error', { code: error.code || null, message: error.message, exitCode });
+    } else {
+      utils.log.error("Error:", error.message);
+    }
+    if (options.debug) {
+      console.error(chalk.gray(util.inspect(error)));
+    }
+    process.exit(exitCode);
+  }
+}
+
+// Only run as a bin; requiring this file just loads the library
+if (require.main === module) {
+  main();
+}
 
 module.exports = {
   getExampleFolders,
-  generateTemplate: async ({ directory, apiKey, template, silent = false }) => {
-    const projectDir = path.join(process.cwd(), directory);
-    await fs.ensureDir(projectDir);
-    await downloadTemplate(template, projectDir);
-    await updateWorkspaceVersions(projectDir);
-    await updateApiKey(projectDir, apiKey);
-    return projectDir;
-  },
+  getTemplateCatalog: (source = getSource()) => getTemplateCatalog(source),
+  getTemplateInfo: (template, source = getSource()) => getTemplateInfo(source, template),
+  generateTemplate,
+  generateWorkspace,
+  verifyTemplates,
+  formatJUnitReport,
+  upgradeProject,
+  getSource,
+  ...errors,
   CONSTANTS,
   utils
 }; 
@@ -0,0 +1,52 @@
+const chalk = require('chalk');
+
+// chalk turns colours off when stdout isn't a terminal, but doesn't know about
+// NO_COLOR (https://no-color.org)
+if (process.env.NO_COLOR) {
+  chalk.level = 0;
+}
+
+// From most to least verbose. `success` counts as `info`, and `print` (plain
+// output) is shown whenever `info` is.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Where log lines go, and the least severe level that is shown. JSON output
+// moves them to stderr, so stdout only has the JSON.
+const settings = {
+  output: console.log,
+  level: 'info',
+};
+
+function configureLog({ output = settings.output, level = settings.level } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${LEVELS.join(', ')}`);
+  }
+  Object.assign(settings, { output, level });
+}
+
+function isLevelEnabled(level) {
+  return LEVELS.indexOf(level === 'success' ? 'info' : level) >= LEVELS.indexOf(settings.level);
+}
+
+const write = (level, ...args) => {
+  if (isLevelEnabled(level)) {
+    settings.output(...args);
+  }
+};
+
+const log = {
+  debug: (...args) => write('debug', chalk.gray('·', ...args)),
+  info: (...args) => write('info', 'ℹ', ...args),
+  success: (...args) => write('info', chalk.green('✔'), ...args),
+  error: (...args) => write('error', chalk.red('✖'), ...args),
+  warn: (...args) => write('warn', chalk.yellow('⚠'), ...args),
+  title: (...args) => write('info', chalk.bold('\n🔨', ...args)),
+  print: (...args) => write('info', ...args),
+};
+
+module.exports = {
+  LEVELS,
+  log,
+  configureLog,
+  isLevelEnabled,
+};
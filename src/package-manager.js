@@ -0,0 +1,262 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { spawn } = require('child_process');
+const { globToRegExp } = require('./glob');
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+const LOCKFILES = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'bun.lockb': 'bun',
+  'bun.lock': 'bun',
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm',
+};
+
+const DEFAULT_GITIGNORE = [
+  'node_modules/',
+  'dist/',
+  'build/',
+  '.env*.local',
+  '.DS_Store',
+  '*.log',
+  '',
+].join('\n');
+
+// pnpm dlx, yarn create, bunx and npx all set npm_config_user_agent,
+// e.g. "pnpm/8.15.1 npm/? node/v20.11.0 darwin arm64"
+function getPackageManagerFromUserAgent(userAgent = process.env.npm_config_user_agent) {
+  const name = userAgent?.split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : null;
+}
+
+// A lockfile or `packageManager` field in the template wins, since the
+// template was tested with it; otherwise use whatever ran this tool.
+async function detectPackageManager(projectDir, userAgent) {
+  for (const [lockfile, packageManager] of Object.entries(LOCKFILES)) {
+    if (await fs.pathExists(path.join(projectDir, lockfile))) {
+      return packageManager;
+    }
+  }
+
+  const packageJson = await fs.readJson(path.join(projectDir, 'package.json')).catch(() => null);
+  const declared = packageJson?.packageManager?.split('@')[0];
+  if (PACKAGE_MANAGERS.includes(declared)) {
+    return declared;
+  }
+
+  return getPackageManagerFromUserAgent(userAgent) || 'npm';
+}
+
+function getInstallCommand(packageManager) {
+  return packageManager === 'yarn' ? ['yarn'] : [packageManager, 'install'];
+}
+
+function getRunCommand(packageManager, script) {
+  if (packageManager === 'npm' || packageManager === 'bun') {
+    return [packageManager, 'run', script];
+  }
+  return [packageManager, script];
+}
+
+// Runs a script of one workspace package from the workspace root
+function getWorkspaceRunCommand(packageManager, workspace, script) {
+  switch (packageManager) {
+    case 'pnpm':
+      return ['pnpm', '--filter', workspace, script];
+    case 'yarn':
+      return ['yarn', 'workspace', workspace, script];
+    case 'bun':
+      return ['bun', 'run', '--filter', workspace, script];
+    default:
+      return ['npm', 'run', script, '--workspace', workspace];
+  }
+}
+
+// The scripts worth suggesting after generation, in the order to run them
+async function getNextStepScripts(projectDir) {
+  const packageJson = await fs.readJson(path.join(projectDir, 'package.json')).catch(() => null);
+  const scripts = Object.keys(packageJson?.scripts || {});
+  const start = ['dev', 'start', 'serve'].find(script => scripts.includes(script));
+  return start ? [start] : scripts.filter(script => script === 'build');
+}
+
+function runCommand([command, ...args], cwd, { stdio = 'inherit' } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio, shell: process.platform === 'win32' });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`\`${[command, ...args].join(' ')}\` exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Most of a command's output kept by runCapturedCommand, from the end
+const MAX_CAPTURED_OUTPUT = 64 * 1024;
+
+// The process groups of the captured commands still running. They are
+// detached, so they would outlive the generator if it ended first: exiting or
+// a signal kills them. On a signal, the signal is then re-sent if nothing else
+// handles it, like withStagingDir does.
+const runningGroups = new Set();
+
+const killRunningGroups = (signal) => {
+  for (const pid of runningGroups) {
+    try {
+      process.kill(-pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  }
+};
+const onExit = () => killRunningGroups('SIGKILL');
+const onSignal = (signal) => {
+  killRunningGroups(signal);
+  runningGroups.clear();
+  removeGroupListeners();
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+};
+const removeGroupListeners = () => {
+  process.removeListener('exit', onExit);
+  process.removeListener('SIGINT', onSignal);
+  process.removeListener('SIGTERM', onSignal);
+};
+
+function trackGroup(pid) {
+  if (runningGroups.size === 0) {
+    process.on('exit', onExit);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  }
+  runningGroups.add(pid);
+}
+
+function untrackGroup(pid) {
+  if (runningGroups.delete(pid) && runningGroups.size === 0) {
+    removeGroupListeners();
+  }
+}
+
+// Runs a command with its output collected instead of printed. After `timeout`
+// ms the command, and anything it started, is killed. Never rejects: the
+// result says how it ended.
+function runCapturedCommand([command, ...args], cwd, { timeout } = {}) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    // Its own process group, so a timeout can kill the whole tree
+    const detached = process.platform !== 'win32';
+    const child = spawn(command, args, { cwd, detached, stdio: ['ignore', 'pipe', 'pipe'], shell: process.platform === 'win32' });
+    if (detached && child.pid) {
+      trackGroup(child.pid);
+    }
+    let output = '';
+    let timedOut = false;
+    let timer;
+
+    const collect = (chunk) => {
+      output = (output + chunk).slice(-MAX_CAPTURED_OUTPUT);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const kill = (signal) => {
+      try {
+        if (detached) {
+          process.kill(-child.pid, signal);
+        } else {
+          child.kill(signal);
+        }
+      } catch (error) {
+        // Already gone
+      }
+    };
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        kill('SIGTERM');
+        setTimeout(() => kill('SIGKILL'), 5000).unref();
+      }, timeout);
+    }
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      untrackGroup(child.pid);
+      resolve({ exitCode, timedOut, output: error ? `${output}${error.message}\n` : output, duration: Date.now() - started });
+    };
+    child.on('error', error => finish(null, error));
+    child.on('close', code => finish(code));
+  });
+}
+
+function installDependencies(projectDir, packageManager, { stdio } = {}) {
+  return runCommand(getInstallCommand(packageManager), projectDir, { stdio });
+}
+
+async function isInsideGitRepo(dir) {
+  try {
+    await runCommand(['git', 'rev-parse', '--is-inside-work-tree'], dir, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether a .gitignore pattern matches a file at the root of the project
+function isIgnoredBy(pattern, file) {
+  const trimmed = pattern.trim();
+  if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) {
+    return false;
+  }
+  return globToRegExp(trimmed.replace(/^\//, '').replace(/^\*\*\//, '')).test(file);
+}
+
+// Makes sure the given files are ignored, creating a .gitignore with the
+// usual entries first if the template doesn't have one
+async function ensureGitignore(projectDir, files = []) {
+  const gitignorePath = path.join(projectDir, '.gitignore');
+  const existing = await fs.readFile(gitignorePath, 'utf8').catch(() => null);
+  const content = existing ?? DEFAULT_GITIGNORE;
+  const lines = content.split(/\r?\n/);
+
+  const missing = files.filter(file => !lines.some(line => isIgnoredBy(line, file)));
+  if (existing === null || missing.length > 0) {
+    await fs.writeFile(gitignorePath, missing.length ? `${content.replace(/\n*$/, '\n')}${missing.join('\n')}\n` : content);
+  }
+}
+
+// Initializes a repository with everything generated as the first commit.
+// Returns false when the commit couldn't be made (e.g. no git identity set),
+// leaving the repository initialized but empty.
+async function initGitRepo(projectDir) {
+  await ensureGitignore(projectDir);
+
+  await runCommand(['git', 'init', '--quiet'], projectDir, { stdio: 'ignore' });
+  await runCommand(['git', 'add', '--all'], projectDir, { stdio: 'ignore' });
+  try {
+    await runCommand(['git', 'commit', '--quiet', '--no-verify', '-m', 'Initial commit from Builder.io template'], projectDir, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  getInstallCommand,
+  getRunCommand,
+  getWorkspaceRunCommand,
+  getNextStepScripts,
+  installDependencies,
+  runCapturedCommand,
+  isInsideGitRepo,
+  ensureGitignore,
+  initGitRepo,
+};
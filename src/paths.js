@@ -0,0 +1,135 @@
+const path = require("path");
+
+// Names Windows reserves for devices, with or without an extension
+const RESERVED_NAME = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(\..*)?$/i;
+// Characters Windows doesn't allow in file names
+const RESERVED_CHARACTERS = /[<>:"|?*]/;
+
+// The absolute path of `filePath` inside dir, or null when it would end up
+// outside it
+function resolveInside(dir, filePath) {
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, filePath);
+  return resolved.startsWith(`${root}${path.sep}`) ? resolved : null;
+}
+
+// Decodes a file path from a template source segment by segment, e.g.
+// `app/%5Bslug%5D/page.tsx` to `app/[slug]/page.tsx`, and normalizes it.
+// Returns { path } with a `warning` when a segment had to be kept as it was,
+// or { error } when the path can't be written safely: absolute, leaving its
+// directory, or with a separator or control character encoded in a name.
+function decodeRemotePath(remotePath) {
+  if (/^([/\\]|[a-zA-Z]:)/.test(remotePath)) {
+    return { error: 'it is absolute' };
+  }
+
+  const segments = [];
+  let warning = null;
+  for (const segment of remotePath.split('/')) {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      warning = `${segment} isn't valid URL encoding, kept it as it is`;
+    }
+    if (/[/\\]/.test(decoded)) {
+      return { error: 'a name in it decodes to a path separator' };
+    }
+    if (/[\x00-\x1F\x7F]/.test(decoded)) {
+      return { error: 'a name in it has a control character' };
+    }
+    if (decoded === '..') {
+      return { error: 'it leaves the template directory' };
+    }
+    if (decoded !== '' && decoded !== '.') {
+      segments.push(decoded);
+    }
+  }
+
+  if (segments.length === 0) {
+    return { error: 'it is empty' };
+  }
+  return { path: segments.join('/'), warning };
+}
+
+// Decides where each file of a template is written as its paths come in,
+// rejecting unsafe paths, paths that decode to one already taken, and files
+// that would need a directory where there is a file, or the reverse
+function createPathResolver() {
+  const taken = new Map();
+  // Every directory the taken files are in
+  const directories = new Set();
+  const renamed = [];
+  const rejected = [];
+  const warnings = [];
+
+  return {
+    renamed,
+    rejected,
+    warnings,
+    // The decoded path, or null when the file mustn't be written
+    resolve(remotePath) {
+      const { path: decoded, warning, error } = decodeRemotePath(remotePath);
+      if (error) {
+        rejected.push({ path: remotePath, reason: error });
+        return null;
+      }
+      if (taken.has(decoded)) {
+        rejected.push({ path: remotePath, reason: `${taken.get(decoded)} is also written to ${decoded}` });
+        return null;
+      }
+      if (directories.has(decoded)) {
+        rejected.push({ path: remotePath, reason: `${decoded} is a directory of other files` });
+        return null;
+      }
+      const segments = decoded.split('/');
+      const parents = segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join('/'));
+      const fileParent = parents.find(parent => taken.has(parent));
+      if (fileParent) {
+        rejected.push({ path: remotePath, reason: `${taken.get(fileParent)} is written to ${fileParent}, where it needs a directory` });
+        return null;
+      }
+      taken.set(decoded, remotePath);
+      parents.forEach(parent => directories.add(parent));
+      if (warning) warnings.push(warning);
+      if (decoded !== remotePath) renamed.push({ from: remotePath, to: decoded });
+      return decoded;
+    },
+  };
+}
+
+// Paths that can't be written, or overwrite each other, on Windows or on
+// case-insensitive filesystems (the default on macOS)
+function findPortabilityProblems(filePaths) {
+  const problems = [];
+  for (const filePath of filePaths) {
+    const name = filePath.split('/').find(segment => RESERVED_NAME.test(segment) || RESERVED_CHARACTERS.test(segment) || /[. ]$/.test(segment));
+    if (name) {
+      problems.push(`${filePath} can't be created on Windows because of "${name}"`);
+    }
+  }
+
+  // Directories clash too, e.g. `App/page.tsx` and `app/layout.tsx`
+  const byLowerCase = new Map();
+  for (const filePath of filePaths) {
+    const segments = filePath.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      const prefix = segments.slice(0, i).join('/');
+      const key = prefix.toLowerCase();
+      byLowerCase.set(key, new Set([...byLowerCase.get(key) || [], prefix]));
+    }
+  }
+  for (const paths of byLowerCase.values()) {
+    if (paths.size > 1) {
+      problems.push(`${[...paths].join(' and ')} differ only in case, so they clash on case-insensitive filesystems`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  resolveInside,
+  decodeRemotePath,
+  createPathResolver,
+  findPortabilityProblems,
+};
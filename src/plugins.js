@@ -0,0 +1,130 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { walkDirectory } = require('./sources');
+const { resolveInside } = require('./paths');
+const { ConfigError, PluginError } = require('./errors');
+
+// Run in this order for every project:
+// - preDownload(context), before any template file is fetched
+// - file(file, context) for each file of the downloaded template
+// - postGenerate(context), once the project directory is complete
+const HOOKS = ['preDownload', 'file', 'postGenerate'];
+
+// A plugin module exports the plugin, or a function that takes the options
+// from the config and returns it
+async function loadPlugin(entry, config) {
+  const [specifier, options = {}] = Array.isArray(entry) ? entry : [entry];
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  let modulePath;
+  try {
+    modulePath = isPath ? path.resolve(config.dir, specifier) : require.resolve(specifier, { paths: [config.dir] });
+    const exported = require(modulePath);
+    const plugin = typeof exported === 'function' ? await exported(options) : exported;
+    return { name: specifier, ...plugin };
+  } catch (error) {
+    // Node appends the require stack to resolution errors, which is just noise here
+    const [reason] = error.message.split('\n');
+    throw new ConfigError(`Could not load plugin ${specifier}${config.path ? ` from ${config.path}` : ''}: ${reason}`, { cause: error });
+  }
+}
+
+// The plugins to run, in order. Built-ins come first unless `plugins` names
+// them, which moves them to that position. `disable` turns plugins off by name.
+async function resolvePlugins(config, builtins) {
+  const listed = await Promise.all(config.plugins.map(entry => (
+    typeof entry === 'string' && builtins[entry] ? { name: entry, ...builtins[entry] } : loadPlugin(entry, config)
+  )));
+  const listedNames = listed.map(plugin => plugin.name);
+  const plugins = [
+    ...Object.entries(builtins)
+      .filter(([name]) => !listedNames.includes(name))
+      .map(([name, plugin]) => ({ name, ...plugin })),
+    ...listed,
+  ];
+
+  for (const plugin of plugins) {
+    if (!HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+      throw new ConfigError(`Plugin ${plugin.name} has none of the hooks ${HOOKS.join(', ')}`);
+    }
+  }
+  const unknown = config.disable.filter(name => !plugins.some(plugin => plugin.name === name));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Can't disable ${unknown.join(', ')}: no plugin has that name`);
+  }
+  return plugins.filter(plugin => !config.disable.includes(plugin.name));
+}
+
+async function runHook(plugins, hook, context) {
+  for (const plugin of plugins) {
+    if (!plugin[hook]) continue;
+    try {
+      await plugin[hook](context);
+    } catch (error) {
+      throw new PluginError(`Plugin ${plugin.name} failed in ${hook}: ${error.message}`, { cause: error });
+    }
+    context.reporter?.transform({ plugin: plugin.name, hook });
+  }
+}
+
+// Removes the folders a removed file leaves empty, up to dir
+async function removeEmptyParents(dir, filePath) {
+  let parent = path.dirname(filePath);
+  while (parent !== '.') {
+    const parentPath = path.join(dir, parent);
+    if ((await fs.readdir(parentPath)).length > 0) return;
+    await fs.rmdir(parentPath);
+    parent = path.dirname(parent);
+  }
+}
+
+// Passes every file in dir through the plugins' `file` hooks. A hook gets
+// `{ path, content }` and returns nothing to keep the file as it is, null to
+// remove it, or a new `{ path, content }` to move or rewrite it.
+async function transformFiles(dir, plugins, context) {
+  const filePlugins = plugins.filter(plugin => plugin.file);
+  if (filePlugins.length === 0) {
+    return;
+  }
+
+  for (const filePath of await walkDirectory(dir)) {
+    const original = { path: filePath, content: await fs.readFile(path.join(dir, filePath)) };
+    let file = original;
+    for (const plugin of filePlugins) {
+      let result;
+      try {
+        result = await plugin.file({ ...file }, context);
+      } catch (error) {
+        throw new PluginError(`Plugin ${plugin.name} failed on ${file.path}: ${error.message}`, { cause: error });
+      }
+      if (result === null) {
+        context.reporter?.transform({ plugin: plugin.name, hook: 'file', path: file.path, to: null });
+        file = null;
+        break;
+      }
+      if (result) {
+        context.reporter?.transform({ plugin: plugin.name, hook: 'file', path: file.path, to: result.path ?? file.path });
+        file = { path: result.path ?? file.path, content: result.content ?? file.content };
+      }
+    }
+
+    if (file === original) continue;
+    const targetPath = file && resolveInside(dir, file.path);
+    if (file && !targetPath) {
+      throw new PluginError(`A plugin moved ${filePath} to ${file.path}, outside the project`);
+    }
+
+    await fs.remove(path.join(dir, filePath));
+    await removeEmptyParents(dir, filePath);
+    if (file) {
+      await fs.outputFile(targetPath, file.content);
+    }
+  }
+}
+
+module.exports = {
+  HOOKS,
+  resolvePlugins,
+  runHook,
+  removeEmptyParents,
+  transformFiles,
+};
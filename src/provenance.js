@@ -0,0 +1,54 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require('crypto');
+const { walkDirectory } = require('./sources');
+const { UsageError } = require('./errors');
+
+// Written to the root of every generated project, recording what it was
+// generated from and a hash of every generated file, so `upgrade` can tell
+// which files were changed since
+const PROVENANCE_FILE = '.builder-template.json';
+const PROVENANCE_VERSION = 1;
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+async function hashFiles(dir) {
+  const files = {};
+  for (const filePath of (await walkDirectory(dir)).sort()) {
+    if (filePath === PROVENANCE_FILE) continue;
+    files[filePath] = hashContent(await fs.readFile(path.join(dir, filePath)));
+  }
+  return files;
+}
+
+// Records `settings` and the hashes of everything in dir
+async function writeProvenance(dir, settings) {
+  const provenance = { version: PROVENANCE_VERSION, ...settings, files: await hashFiles(dir) };
+  await fs.outputJson(path.join(dir, PROVENANCE_FILE), provenance, { spaces: 2 });
+  return provenance;
+}
+
+async function readProvenance(projectDir) {
+  const provenancePath = path.join(projectDir, PROVENANCE_FILE);
+  if (!await fs.pathExists(provenancePath)) {
+    throw new UsageError(`${projectDir} has no ${PROVENANCE_FILE}, so it wasn't generated by this tool (or was generated before it recorded one)`);
+  }
+
+  let provenance;
+  try {
+    provenance = await fs.readJson(provenancePath);
+  } catch (error) {
+    throw new UsageError(`Could not read ${provenancePath}: ${error.message}`, { cause: error });
+  }
+  if (provenance?.version !== PROVENANCE_VERSION || !provenance.template || !provenance.source || !provenance.files) {
+    throw new UsageError(`${provenancePath} isn't a provenance file this version can read`);
+  }
+  return provenance;
+}
+
+module.exports = {
+  PROVENANCE_FILE,
+  hashContent,
+  writeProvenance,
+  readProvenance,
+};
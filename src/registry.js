@@ -0,0 +1,95 @@
+const semver = require('semver');
+const { httpGet } = require('./http');
+const { UsageError, DownloadError } = require('./errors');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// How many published versions to offer besides the dist-tags
+const MAX_VERSION_CHOICES = 10;
+
+// An explicit registry, then the one npm is configured with
+function getRegistryUrl(registry = process.env.npm_config_registry) {
+  return (registry || DEFAULT_REGISTRY).replace(/\/+$/, '');
+}
+
+// The dist-tags and published versions of a package, from the abbreviated
+// metadata document npm itself installs from
+async function fetchPackageMetadata(name, registry = getRegistryUrl()) {
+  const url = `${registry}/${name.replace('/', '%2f')}`;
+  try {
+    const { data } = await httpGet(url, {
+      headers: { Accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8' },
+    });
+    return {
+      name,
+      distTags: data['dist-tags'] || {},
+      versions: Object.keys(data.versions || {}),
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new DownloadError(`${name} is not published on ${registry}`);
+    }
+    throw new DownloadError(`Could not fetch ${name} from ${registry}: ${error.message}`, { cause: error });
+  }
+}
+
+// Resolves a dist-tag, version or range to a published version, or null
+function resolveVersion(metadata, spec) {
+  const trimmed = String(spec).trim();
+  if (metadata.distTags[trimmed]) {
+    return metadata.distTags[trimmed];
+  }
+  const version = semver.valid(trimmed);
+  if (version) {
+    return metadata.versions.includes(version) ? version : null;
+  }
+  if (semver.validRange(trimmed)) {
+    return semver.maxSatisfying(metadata.versions, trimmed);
+  }
+  return null;
+}
+
+// Inquirer choices: every dist-tag, then the most recent stable versions
+function getVersionChoices(metadata) {
+  const tags = Object.entries(metadata.distTags)
+    .sort(([a], [b]) => (a === 'latest' ? -1 : b === 'latest' ? 1 : a.localeCompare(b)));
+  const tagged = new Set(tags.map(([, version]) => version));
+  const recent = semver.rsort(metadata.versions.filter(version => semver.valid(version) && !semver.prerelease(version)))
+    .filter(version => !tagged.has(version))
+    .slice(0, MAX_VERSION_CHOICES);
+
+  return [
+    ...tags.map(([tag, version]) => ({ name: `${version} (${tag})`, value: version })),
+    ...recent.map(version => ({ name: version, value: version })),
+  ];
+}
+
+// Pins each SDK package to the published version `spec` resolves to. The
+// first package is the one the version was picked for; any others that have
+// no matching version fall back to their latest release.
+function resolveSdkVersions([primary, ...others], spec) {
+  const version = resolveVersion(primary, spec);
+  if (!version) {
+    throw new UsageError(`No published version of ${primary.name} matches "${spec}"`);
+  }
+
+  const versions = { [primary.name]: version };
+  const warnings = [];
+  for (const metadata of others) {
+    versions[metadata.name] = resolveVersion(metadata, spec) || resolveVersion(metadata, version);
+    if (!versions[metadata.name]) {
+      versions[metadata.name] = metadata.distTags.latest;
+      warnings.push(`No published version of ${metadata.name} matches "${spec}", using ${metadata.distTags.latest}`);
+    }
+  }
+  return { versions, warnings };
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  getRegistryUrl,
+  fetchPackageMetadata,
+  resolveVersion,
+  getVersionChoices,
+  resolveSdkVersions,
+};
@@ -0,0 +1,549 @@
+const fs = require("fs-extra");
+const crypto = require('crypto');
+const path = require("path");
+const tar = require('tar');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { httpGet } = require('./http');
+const { resolveInside } = require('./paths');
+const { UsageError, TemplateError, DownloadError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+const SOURCE_TYPES = ['github', 'tarball', 'local'];
+
+const encodePath = (filePath) => filePath.split('/')
+  .map(segment => encodeURIComponent(segment))
+  .join('/');
+
+// The SHA git stores a file's content under, as listed in trees
+const getGitBlobSha = (content) => crypto.createHash('sha1')
+  .update(`blob ${content.length}\0`)
+  .update(content)
+  .digest('hex');
+
+// Checks downloaded content against the size and git blob SHA from a
+// source's listing, when it has them. Returns a description of the mismatch.
+function verifyFile(file, content) {
+  if (file.size !== undefined && content.length !== file.size) {
+    return `expected ${file.size} bytes, got ${content.length}`;
+  }
+  if (file.sha && getGitBlobSha(content) !== file.sha) {
+    return `content does not match blob ${file.sha}`;
+  }
+  return null;
+}
+
+// Sources throw this for files that don't exist, so callers can tell a
+// missing optional file apart from a failed request
+const fileNotFound = (filePath) => Object.assign(new Error(`File not found: ${filePath}`), { code: 'ENOENT' });
+
+const isCommitSha = (ref) => /^[0-9a-f]{40}$/i.test(ref);
+
+const runGit = async (args, cwd, options = {}) => {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024, ...options });
+  return stdout;
+};
+
+// Pins a branch, tag or SHA to the commit it currently points at, so every
+// request in a run reads the same snapshot of the repository. Passing the
+// result of an earlier lookup makes it a conditional request, which GitHub
+// answers with a 304 that doesn't count against the rate limit.
+async function resolveGithubCommit(repo, ref, previous) {
+  if (isCommitSha(ref)) {
+    return { sha: ref.toLowerCase() };
+  }
+  try {
+    const response = await httpGet(`https://api.github.com/repos/${repo}/commits/${encodePath(ref)}`, {
+      headers: {
+        Accept: 'application/vnd.github.sha',
+        ...(previous?.etag && { 'If-None-Match': previous.etag }),
+      },
+      responseType: 'text',
+      validateStatus: status => (status >= 200 && status < 300) || status === 304,
+    });
+    if (response.status === 304) {
+      return previous;
+    }
+    return { sha: response.data.trim(), etag: response.headers.etag };
+  } catch (error) {
+    if ([404, 422].includes(error.response?.status)) {
+      throw new UsageError(`Could not resolve ref "${ref}" in ${repo}`);
+    }
+    throw error;
+  }
+}
+
+// Lists the files under dir as `/`-separated paths relative to it
+async function walkDirectory(dir, prefix = '') {
+  const items = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(items.map(async item => {
+    if (item.name === '.git' || item.name === 'node_modules') return [];
+    const relativePath = prefix ? `${prefix}/${item.name}` : item.name;
+    if (item.isDirectory()) return walkDirectory(path.join(dir, item.name), relativePath);
+    return item.isFile() ? [relativePath] : [];
+  }));
+  return files.flat();
+}
+
+const isManifestPath = (filePath) => /(^|\/)package\.json$/.test(filePath) && !/(^|\/)node_modules\//.test(filePath);
+
+const getTarballUrl = (repo, ref) => `https://codeload.github.com/${repo}/tar.gz/${ref}`;
+
+// Entries in GitHub tarballs are prefixed with a `<repo>-<ref>/` directory
+const stripArchiveRoot = (entryPath) => entryPath.split('/').slice(1).join('/');
+
+// Streams the repository tarball and writes only the files under
+// `templatePath` into targetDir, so the rest of the archive never hits disk.
+// `resolvePath` gets each file's path in the template and returns where to
+// write it in targetDir, or null to skip it.
+async function extractFromTarball(tarballUrl, templatePath, targetDir, { onStart, onData, onEntry, resolvePath = (filePath) => filePath } = {}) {
+  const response = await httpGet(tarballUrl, { responseType: 'stream' });
+  const prefix = `${templatePath}/`;
+  const writes = [];
+
+  onStart?.({ totalBytes: Number(response.headers?.['content-length']) || 0 });
+
+  await new Promise((resolve, reject) => {
+    const parser = new tar.Parse({
+      // Only regular files: directories are created for the files in them,
+      // and links could point anywhere
+      filter: (entryPath, entry) => entry.type === 'File' && stripArchiveRoot(entryPath).startsWith(prefix),
+      onentry: (entry) => {
+        const filePath = resolvePath(stripArchiveRoot(entry.path).slice(prefix.length));
+        const targetPath = filePath && resolveInside(targetDir, filePath);
+        if (!targetPath) {
+          entry.resume();
+          return;
+        }
+        const write = new Promise((resolveWrite, rejectWrite) => {
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          const output = fs.createWriteStream(targetPath);
+          output.on('finish', resolveWrite);
+          output.on('error', rejectWrite);
+          entry.pipe(output);
+        });
+        // A failed write stops the extraction right away, rather than
+        // rejecting unhandled while the rest of the archive streams in
+        write.catch(error => {
+          entry.resume();
+          response.data.unpipe(parser);
+          response.data.destroy();
+          reject(error);
+        });
+        writes.push(write);
+        onEntry?.(filePath);
+      },
+    });
+    response.data.on('data', chunk => onData?.(chunk.length));
+    response.data.on('error', reject);
+    parser.on('error', reject);
+    parser.on('end', resolve);
+    response.data.pipe(parser);
+  });
+
+  await Promise.all(writes);
+  return writes.length;
+}
+
+// Template listings from the GitHub REST API, file contents from
+// raw.githubusercontent.com (which doesn't count against the API rate limit).
+function createGithubSource({ repo, ref, examplesDir }) {
+  const apiUrl = `https://api.github.com/repos/${repo}`;
+  const headers = { Accept: 'application/vnd.github+json' };
+  let commit;
+  let templateTrees;
+
+  const resolveRef = () => {
+    if (!commit) {
+      commit = resolveGithubCommit(repo, ref).then(({ sha }) => sha);
+    }
+    return commit;
+  };
+
+  // Maps each template name to the SHA of its git tree
+  const getTemplateTrees = () => {
+    if (!templateTrees) {
+      templateTrees = resolveRef()
+        .then(sha => httpGet(`${apiUrl}/contents/${encodePath(examplesDir)}`, { params: { ref: sha }, headers }))
+        .then(({ data }) => {
+          if (!Array.isArray(data)) {
+            throw new TemplateError(`${examplesDir} is not a directory`);
+          }
+          return new Map(
+            data
+              .filter(item => item.type === 'dir')
+              .map(item => [item.name, item.sha])
+          );
+        })
+        .catch(error => {
+          throw new DownloadError(`Could not list the templates in ${repo}@${ref}: ${error.message}`, { cause: error });
+        });
+    }
+    return templateTrees;
+  };
+
+  const readRawFile = async (filePath) => {
+    const sha = await resolveRef();
+    try {
+      const response = await httpGet(`https://raw.githubusercontent.com/${repo}/${sha}/${encodePath(filePath)}`, {
+        responseType: 'arraybuffer',
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw error.response?.status === 404 ? fileNotFound(filePath) : error;
+    }
+  };
+
+  return {
+    type: 'github',
+    label: `${repo}@${ref}`,
+    options: { repo, ref, examplesDir },
+    resolveRef,
+
+    async listTemplates() {
+      return [...(await getTemplateTrees()).keys()];
+    },
+
+    async listFiles(template) {
+      const treeSha = (await getTemplateTrees()).get(template);
+      if (!treeSha) {
+        throw new TemplateError(`Template "${template}" not found in ${repo}@${ref}`);
+      }
+
+      let data;
+      try {
+        ({ data } = await httpGet(`${apiUrl}/git/trees/${treeSha}`, { params: { recursive: 1 }, headers }));
+      } catch (error) {
+        throw new DownloadError(`Could not fetch the file listing for "${template}": ${error.message}`, { cause: error });
+      }
+      if (data.truncated) {
+        throw new DownloadError(`The file listing for "${template}" is too large for the GitHub API, use another source`);
+      }
+
+      return data.tree
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ path: entry.path, size: entry.size, sha: entry.sha }));
+    },
+
+    async readFile(template, filePath) {
+      return readRawFile(`${examplesDir}/${template}/${filePath}`);
+    },
+
+    async extractTemplate(template, targetDir, handlers) {
+      const sha = await resolveRef();
+      return extractFromTarball(getTarballUrl(repo, sha), `${examplesDir}/${template}`, targetDir, handlers);
+    },
+
+    // Every package.json in the repository, as paths from its root
+    async listManifests() {
+      const sha = await resolveRef();
+      const { data } = await httpGet(`${apiUrl}/git/trees/${sha}`, { params: { recursive: 1 }, headers });
+      if (data.truncated) {
+        throw new DownloadError(`The file listing for ${repo} is too large for the GitHub API`);
+      }
+      return data.tree
+        .filter(entry => entry.type === 'blob' && isManifestPath(entry.path))
+        .map(entry => entry.path);
+    },
+
+    async readRepoFile(filePath) {
+      return readRawFile(filePath);
+    },
+
+    getTemplateUrl(template) {
+      return `https://github.com/${repo}/tree/${ref}/${examplesDir}/${template}`;
+    },
+  };
+}
+
+// Downloads the repository tarball from codeload once and keeps the files
+// under the examples directory in memory, along with the workspace manifests
+// from the rest of the repository, keyed by their path from its root.
+function createTarballSource({ repo, ref, examplesDir }) {
+  const prefix = `${examplesDir}/`;
+  let commit;
+  let entries;
+
+  const resolveRef = () => {
+    if (!commit) {
+      commit = resolveGithubCommit(repo, ref).then(({ sha }) => sha);
+    }
+    return commit;
+  };
+
+  const readTarball = async () => {
+    const files = new Map();
+    const response = await httpGet(getTarballUrl(repo, await resolveRef()), { responseType: 'stream' });
+
+    await new Promise((resolve, reject) => {
+      const parser = new tar.Parse({
+        onentry: (entry) => {
+          const entryPath = stripArchiveRoot(entry.path);
+          const keep = entryPath.startsWith(prefix) || isManifestPath(entryPath) || entryPath === 'pnpm-workspace.yaml';
+          if (entry.type !== 'File' || !keep) {
+            entry.resume();
+            return;
+          }
+          const chunks = [];
+          entry.on('data', chunk => chunks.push(chunk));
+          entry.on('end', () => files.set(entryPath, Buffer.concat(chunks)));
+        },
+      });
+      response.data.on('error', reject);
+      parser.on('error', reject);
+      parser.on('end', resolve);
+      response.data.pipe(parser);
+    });
+
+    return files;
+  };
+
+  const getEntries = () => {
+    if (!entries) {
+      entries = readTarball();
+    }
+    return entries;
+  };
+
+  return {
+    type: 'tarball',
+    label: `${repo}@${ref}`,
+    options: { repo, ref, examplesDir },
+    resolveRef,
+
+    async listTemplates() {
+      const templates = new Set();
+      for (const entryPath of (await getEntries()).keys()) {
+        if (!entryPath.startsWith(prefix)) continue;
+        const [template, ...rest] = entryPath.slice(prefix.length).split('/');
+        if (rest.length) templates.add(template);
+      }
+      return [...templates];
+    },
+
+    async listFiles(template) {
+      const templatePrefix = `${prefix}${template}/`;
+      const files = [];
+      for (const [entryPath, content] of await getEntries()) {
+        if (entryPath.startsWith(templatePrefix)) {
+          files.push({ path: entryPath.slice(templatePrefix.length), size: content.length });
+        }
+      }
+      if (files.length === 0) {
+        throw new TemplateError(`Template "${template}" not found in ${repo}@${ref}`);
+      }
+      return files;
+    },
+
+    async readFile(template, filePath) {
+      const content = (await getEntries()).get(`${prefix}${template}/${filePath}`);
+      if (!content) {
+        throw fileNotFound(`${template}/${filePath}`);
+      }
+      return content;
+    },
+
+    async extractTemplate(template, targetDir, handlers) {
+      const sha = await resolveRef();
+      return extractFromTarball(getTarballUrl(repo, sha), `${examplesDir}/${template}`, targetDir, handlers);
+    },
+
+    async listManifests() {
+      return [...(await getEntries()).keys()].filter(isManifestPath);
+    },
+
+    async readRepoFile(filePath) {
+      const content = (await getEntries()).get(filePath);
+      if (!content) {
+        throw fileNotFound(filePath);
+      }
+      return content;
+    },
+
+    getTemplateUrl(template) {
+      return `https://github.com/${repo}/tree/${ref}/${examplesDir}/${template}`;
+    },
+  };
+}
+
+// Reads templates from disk: either a directory of templates (e.g. a copy of
+// the snippets folder) or a checkout of the whole repository. Given a ref,
+// files are read from that commit of the checkout instead of the working tree.
+function createLocalSource({ localPath, ref, examplesDir }) {
+  if (!localPath) {
+    throw new UsageError('The local source needs a directory, pass it with --local-path');
+  }
+  const root = path.resolve(localPath);
+  let examplesRoot;
+  let repoRoot;
+  let checkout;
+
+  const getExamplesRoot = async () => {
+    if (!examplesRoot) {
+      if (!await fs.pathExists(root)) {
+        throw new UsageError(`Local template directory not found: ${root}`);
+      }
+      const checkoutExamples = path.join(root, examplesDir);
+      examplesRoot = await fs.pathExists(checkoutExamples) ? checkoutExamples : root;
+    }
+    return examplesRoot;
+  };
+
+  // Where workspace manifests are looked up: the enclosing git checkout when
+  // there is one, otherwise the directory itself
+  const getRepoRoot = () => {
+    if (!repoRoot) {
+      repoRoot = runGit(['rev-parse', '--show-toplevel'], root).then(output => output.trim(), () => root);
+    }
+    return repoRoot;
+  };
+
+  // The commit `ref` points at, and where the examples live inside the repository
+  const getCheckout = () => {
+    if (!checkout) {
+      checkout = (async () => {
+        let commit;
+        try {
+          commit = (await runGit(['rev-parse', '--verify', `${ref}^{commit}`], root)).trim();
+        } catch (error) {
+          throw new UsageError(`Could not resolve ref "${ref}" in ${root}`);
+        }
+        const toplevel = (await runGit(['rev-parse', '--show-toplevel'], root)).trim();
+        const examplesPath = path.relative(toplevel, await getExamplesRoot()).split(path.sep).join('/');
+        return { commit, prefix: examplesPath ? `${examplesPath}/` : '' };
+      })();
+    }
+    return checkout;
+  };
+
+  // `git ls-tree` entries look like `<mode> <type> <sha> <size>\t<path>`
+  const listTree = async (treePath, args = []) => {
+    const { commit, prefix } = await getCheckout();
+    const output = await runGit(['ls-tree', '-z', '--full-tree', ...args, commit, '--', `${prefix}${treePath}`], root);
+    return output.split('\0').filter(Boolean).map(line => {
+      const [info, entryPath] = line.split('\t');
+      const [, type, sha, size] = info.split(/\s+/);
+      return { type, sha, size: Number(size), path: entryPath.slice(prefix.length) };
+    });
+  };
+
+  // Inside a git checkout, let git decide which files belong to the template
+  // so build output and other ignored files are left out.
+  const listGitFiles = async (dir, pathspecs = []) => {
+    try {
+      const files = (await runGit(['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ...pathspecs], dir))
+        .split('\0')
+        .filter(Boolean);
+      const existing = await Promise.all(files.map(file => fs.pathExists(path.join(dir, file))));
+      return files.filter((_, i) => existing[i]);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const getTemplateDir = async (template) => path.join(await getExamplesRoot(), template);
+
+  return {
+    type: 'local',
+    label: ref ? `${root}@${ref}` : root,
+    options: { localPath: root, ref, examplesDir },
+
+    async resolveRef() {
+      return ref ? (await getCheckout()).commit : null;
+    },
+
+    async listTemplates() {
+      if (ref) {
+        const entries = await listTree('');
+        return entries.filter(entry => entry.type === 'tree').map(entry => entry.path);
+      }
+      const items = await fs.readdir(await getExamplesRoot(), { withFileTypes: true });
+      return items
+        .filter(item => item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules')
+        .map(item => item.name);
+    },
+
+    async listFiles(template) {
+      if (ref) {
+        const entries = (await listTree(`${template}/`, ['-r', '--long']))
+          .filter(entry => entry.type === 'blob');
+        if (entries.length === 0) {
+          throw new TemplateError(`Template "${template}" not found in ${root}@${ref}`);
+        }
+        return entries.map(entry => ({
+          path: entry.path.slice(template.length + 1),
+          size: entry.size,
+          sha: entry.sha,
+        }));
+      }
+
+      const templateDir = await getTemplateDir(template);
+      if (!await fs.pathExists(templateDir)) {
+        throw new TemplateError(`Template "${template}" not found in ${await getExamplesRoot()}`);
+      }
+      const files = await listGitFiles(templateDir) || await walkDirectory(templateDir);
+      return files.map(file => ({ path: file }));
+    },
+
+    async readFile(template, filePath) {
+      if (ref) {
+        const { commit, prefix } = await getCheckout();
+        return runGit(['cat-file', 'blob', `${commit}:${prefix}${template}/${filePath}`], root, { encoding: 'buffer' })
+          .catch(() => { throw fileNotFound(`${template}/${filePath}`); });
+      }
+      return fs.readFile(path.join(await getTemplateDir(template), filePath));
+    },
+
+    async listManifests() {
+      if (ref) {
+        const { commit } = await getCheckout();
+        const output = await runGit(['ls-tree', '-r', '-z', '--full-tree', '--name-only', commit], root);
+        return output.split('\0').filter(isManifestPath);
+      }
+      const dir = await getRepoRoot();
+      const files = await listGitFiles(dir, ['*package.json']) || await walkDirectory(dir);
+      return files.filter(isManifestPath);
+    },
+
+    async readRepoFile(filePath) {
+      if (ref) {
+        const { commit } = await getCheckout();
+        return runGit(['cat-file', 'blob', `${commit}:${filePath}`], root, { encoding: 'buffer' })
+          .catch(() => { throw fileNotFound(filePath); });
+      }
+      return fs.readFile(path.join(await getRepoRoot(), filePath));
+    },
+
+    getTemplateUrl(template) {
+      return path.join(examplesRoot || root, template);
+    },
+  };
+}
+
+function createSource({ type, localPath, repo, ref, examplesDir }) {
+  if (type !== 'local' && !/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+    throw new UsageError(`Invalid repository "${repo}", expected owner/name`);
+  }
+
+  switch (type) {
+    case 'github':
+      return createGithubSource({ repo, ref, examplesDir });
+    case 'tarball':
+      return createTarballSource({ repo, ref, examplesDir });
+    case 'local':
+      return createLocalSource({ localPath, ref, examplesDir });
+    default:
+      throw new UsageError(`Unknown template source "${type}". Expected one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  createSource,
+  getGitBlobSha,
+  isCommitSha,
+  resolveGithubCommit,
+  verifyFile,
+  walkDirectory,
+};
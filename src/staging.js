@@ -0,0 +1,139 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { walkDirectory } = require('./sources');
+const { UsageError, TargetDirError } = require('./errors');
+
+async function getTargetState(projectDir) {
+  if (!await fs.pathExists(projectDir)) {
+    return 'missing';
+  }
+  if (!(await fs.stat(projectDir)).isDirectory()) {
+    throw new TargetDirError(`${projectDir} already exists and is not a directory`);
+  }
+  return (await fs.readdir(projectDir)).length === 0 ? 'empty' : 'non-empty';
+}
+
+// Refuses to touch a directory that already has files in it, unless the
+// caller asked to replace it (`force`) or add to it (`merge`).
+async function checkTargetDir(projectDir, { force = false, merge = false } = {}) {
+  if (force && merge) {
+    throw new UsageError('--force and --merge can\'t be used together');
+  }
+  const state = await getTargetState(projectDir);
+  if (state === 'non-empty' && !force && !merge) {
+    throw new TargetDirError(`${projectDir} is not empty. Pass --force to replace it, or --merge to add the template's files to it`);
+  }
+  return state;
+}
+
+// Moves the finished project from the staging directory into place. Staging
+// lives next to the target, so this is a rename on the same filesystem.
+async function commitStagingDir(stagingDir, projectDir, { force = false, merge = false } = {}) {
+  const state = await checkTargetDir(projectDir, { force, merge });
+
+  if (state === 'missing') {
+    await fs.rename(stagingDir, projectDir);
+    return;
+  }
+  if (state === 'empty') {
+    await fs.rmdir(projectDir);
+    await fs.rename(stagingDir, projectDir);
+    return;
+  }
+  if (merge) {
+    await fs.copy(stagingDir, projectDir, { overwrite: true });
+    return;
+  }
+
+  // Replacing: keep the old directory until the new one is in place
+  const backupDir = await fs.mkdtemp(path.join(path.dirname(projectDir), `.${path.basename(projectDir)}-previous-`));
+  await fs.rmdir(backupDir);
+  await fs.rename(projectDir, backupDir);
+  try {
+    await fs.rename(stagingDir, projectDir);
+  } catch (error) {
+    await fs.rename(backupDir, projectDir);
+    throw error;
+  }
+  await fs.remove(backupDir);
+}
+
+// What committing the staging directory would do to each file in projectDir:
+// `create`, `overwrite` or `unchanged` for the staged files, and `delete` for
+// the files replacing the directory would remove.
+async function planCommit(stagingDir, projectDir, { force = false } = {}) {
+  const state = await getTargetState(projectDir);
+  const existingFiles = state === 'non-empty' ? await walkDirectory(projectDir) : [];
+  const stagedFiles = await walkDirectory(stagingDir);
+
+  const files = await Promise.all(stagedFiles.map(async file => {
+    if (!existingFiles.includes(file)) {
+      return { path: file, action: 'create' };
+    }
+    const [staged, existing] = await Promise.all([
+      fs.readFile(path.join(stagingDir, file)),
+      fs.readFile(path.join(projectDir, file)),
+    ]);
+    return { path: file, action: staged.equals(existing) ? 'unchanged' : 'overwrite' };
+  }));
+  if (force) {
+    existingFiles
+      .filter(file => !stagedFiles.includes(file))
+      .forEach(file => files.push({ path: file, action: 'delete' }));
+  }
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Runs `task` against a fresh staging directory and only moves the result
+// into projectDir once it succeeds. The staging directory is removed however
+// the run ends, including on process.exit() and Ctrl-C. On a signal it cleans
+// up, then re-sends the signal if nothing else handles it, so the process ends
+// just as it would have without this handler.
+// Returns the task's result and what committing did to each of projectDir's
+// files. With `dryRun`, staging happens in the system temp directory and
+// nothing is moved; the files are what committing would have done.
+async function withStagingDir(projectDir, task, { force = false, merge = false, dryRun = false } = {}) {
+  await checkTargetDir(projectDir, { force, merge });
+
+  const parentDir = dryRun ? os.tmpdir() : path.dirname(projectDir);
+  await fs.ensureDir(parentDir);
+  const stagingDir = await fs.mkdtemp(path.join(parentDir, `.${path.basename(projectDir)}-staging-`));
+  // mkdtemp makes the directory private to the user, but it becomes the
+  // project, which should get the permissions of any directory made here
+  await fs.chmod(stagingDir, 0o777 & ~process.umask());
+
+  const cleanup = () => fs.removeSync(stagingDir);
+  const removeListeners = () => {
+    process.removeListener('exit', cleanup);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  };
+  const onSignal = (signal) => {
+    cleanup();
+    removeListeners();
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  };
+  process.on('exit', cleanup);
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  try {
+    const result = await task(stagingDir);
+    const files = await planCommit(stagingDir, projectDir, { force });
+    if (!dryRun) {
+      await commitStagingDir(stagingDir, projectDir, { force, merge });
+    }
+    return { result, files };
+  } finally {
+    removeListeners();
+    await fs.remove(stagingDir);
+  }
+}
+
+module.exports = {
+  checkTargetDir,
+  withStagingDir,
+};
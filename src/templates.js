@@ -0,0 +1,192 @@
+const { normalizeVariables } = require('./variables');
+const { TemplateError } = require('./errors');
+
+// Optional metadata a template can ship in its root, e.g.
+// { "framework": "Next.js", "gen": "Gen2", "description": "App Router" },
+// the variables it takes (see variables.js) and the files to leave out
+const TEMPLATE_MANIFEST = 'builder-template.json';
+
+const GENERATIONS = ['Gen1', 'Gen2'];
+
+// Checked in order, so meta-frameworks win over the libraries they build on
+const FRAMEWORK_DEPENDENCIES = [
+  ['@shopify/hydrogen', 'Hydrogen'],
+  ['next', 'Next.js'],
+  ['nuxt', 'Nuxt'],
+  ['@sveltejs/kit', 'SvelteKit'],
+  ['@builder.io/qwik-city', 'Qwik'],
+  ['@builder.io/qwik', 'Qwik'],
+  ['@remix-run/react', 'Remix'],
+  ['expo', 'React Native'],
+  ['react-native', 'React Native'],
+  ['@angular/core', 'Angular'],
+  ['solid-js', 'SolidJS'],
+  ['svelte', 'Svelte'],
+  ['vue', 'Vue'],
+  ['react', 'React'],
+];
+
+const GEN1_PACKAGES = ['@builder.io/react', '@builder.io/sdk', '@builder.io/angular', '@builder.io/vue', '@builder.io/gatsby', '@builder.io/widgets'];
+
+const FRAMEWORK_NAME_PATTERNS = [
+  ['React Native', (name) => name.startsWith('react-native')],
+  ['Next.js', (name) => name.startsWith('react-sdk')],
+  ['Angular', (name) => name.startsWith('angular')],
+  ['SolidJS', (name) => name.startsWith('solidjs')],
+  ['React', (name) => name === 'react' || name.startsWith('react-')],
+  ['Hydrogen', (name) => name.startsWith('hydrogen')],
+  ['Next.js', (name) => name.startsWith('next')],
+  ['Vue', (name) => name === 'vue'],
+  ['Nuxt', (name) => name.startsWith('nuxt')],
+  ['Qwik', (name) => name.startsWith('qwik')],
+  ['Remix', (name) => name.startsWith('remix')],
+  ['Svelte', (name) => name === 'svelte'],
+  ['SvelteKit', (name) => name.startsWith('sveltekit')],
+];
+
+// Guesses framework and generation from the template's folder name, for
+// templates with neither a manifest nor a recognizable package.json
+function categorizeByName(templateName) {
+  const isGen1 = templateName.startsWith('gen1-');
+  const gen = isGen1 ? 'Gen1' : 'Gen2';
+  const name = isGen1 ? templateName.replace('gen1-', '') : templateName;
+
+  const match = FRAMEWORK_NAME_PATTERNS.find(([, matches]) => matches(name));
+  return match ? { framework: match[0], gen } : null;
+}
+
+function categorizeByPackageJson(packageJson) {
+  const dependencies = { ...packageJson.devDependencies, ...packageJson.peerDependencies, ...packageJson.dependencies };
+  const match = FRAMEWORK_DEPENDENCIES.find(([dependency]) => dependencies[dependency]);
+  if (!match) {
+    return null;
+  }
+
+  const sdkPackages = Object.keys(dependencies).filter(name => name.startsWith('@builder.io/'));
+  let gen = null;
+  if (sdkPackages.some(name => GEN1_PACKAGES.includes(name))) gen = 'Gen1';
+  else if (sdkPackages.some(name => name.startsWith('@builder.io/sdk-'))) gen = 'Gen2';
+  return { framework: match[1], gen };
+}
+
+// Reads a JSON file from the template, or null when it doesn't have one
+async function readTemplateJson(source, template, filePath) {
+  try {
+    return JSON.parse((await source.readFile(template, filePath)).toString());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new TemplateError(`Could not read ${template}/${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+// Works out a template's framework and generation from its manifest, then
+// its package.json dependencies, then its folder name. Returns null for
+// templates that can't be classified.
+async function classifyTemplate(source, template) {
+  const manifest = await readTemplateJson(source, template, TEMPLATE_MANIFEST) || {};
+  const fromPackage = manifest.framework && manifest.gen
+    ? null
+    : categorizeByPackageJson(await readTemplateJson(source, template, 'package.json') || {});
+  const fromName = categorizeByName(template);
+
+  const framework = manifest.framework || fromPackage?.framework || fromName?.framework;
+  if (!framework) {
+    return null;
+  }
+  const gen = manifest.gen || fromPackage?.gen || fromName?.gen;
+  return {
+    name: template,
+    framework,
+    gen: GENERATIONS.find(generation => generation.toLowerCase() === String(gen).toLowerCase()) || 'Gen2',
+    description: manifest.description || '',
+  };
+}
+
+// The variables the template's manifest declares, normalized
+async function getTemplateVariables(source, template) {
+  const manifest = await readTemplateJson(source, template, TEMPLATE_MANIFEST);
+  return normalizeVariables(manifest?.variables, template);
+}
+
+// The globs of files the template's manifest says to leave out of projects
+async function getTemplateIgnore(source, template) {
+  const manifest = await readTemplateJson(source, template, TEMPLATE_MANIFEST);
+  const ignore = manifest?.ignore || [];
+  if (!Array.isArray(ignore) || !ignore.every(glob => typeof glob === 'string')) {
+    throw new TemplateError(`"ignore" in ${template}'s manifest must be a list of globs`);
+  }
+  return ignore;
+}
+
+// Every template the source has that could be classified, with the
+// classification stored alongside the cached snapshot when there is one
+async function getTemplateCatalog(source) {
+  const classify = async () => {
+    const templates = await source.listTemplates();
+    const classified = await Promise.all(templates.map(template => classifyTemplate(source, template)));
+    return classified.filter(Boolean);
+  };
+  return source.memoize ? source.memoize('catalog', classify) : classify();
+}
+
+// The opening paragraphs of a README, without its title and badges
+function getReadmeExcerpt(readme, maxLength = 500) {
+  const paragraphs = readme
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph && !paragraph.startsWith('#') && !/^(\[?!\[[^\]]*\]\([^)]*\)\]?(\([^)]*\))?\s*)+$/.test(paragraph));
+
+  let excerpt = '';
+  for (const paragraph of paragraphs) {
+    if (excerpt && excerpt.length + paragraph.length > maxLength) break;
+    excerpt = excerpt ? `${excerpt}\n\n${paragraph}` : paragraph;
+  }
+  return excerpt.length > maxLength ? `${excerpt.slice(0, maxLength - 1)}…` : excerpt;
+}
+
+// Everything worth knowing about a template before generating from it
+async function getTemplateInfo(source, template) {
+  const files = (await source.listFiles(template)).filter(file => file.path !== TEMPLATE_MANIFEST);
+  const classification = await classifyTemplate(source, template);
+  const packageJson = await readTemplateJson(source, template, 'package.json') || {};
+  const readmeFile = files.find(file => /^readme(\.md)?$/i.test(file.path));
+  const readme = readmeFile ? (await source.readFile(template, readmeFile.path)).toString() : '';
+
+  return {
+    name: template,
+    framework: classification?.framework || null,
+    gen: classification?.gen || null,
+    description: classification?.description || '',
+    url: source.getTemplateUrl(template),
+    files: files.map(({ path, size }) => ({ path, size })),
+    dependencies: packageJson.dependencies || {},
+    devDependencies: packageJson.devDependencies || {},
+    scripts: packageJson.scripts || {},
+    variables: await getTemplateVariables(source, template),
+    readme: getReadmeExcerpt(readme),
+  };
+}
+
+// Distinct values of `key` across templates, with how many templates have each
+function countBy(templates, key) {
+  const counts = new Map();
+  for (const template of templates) {
+    counts.set(template[key], (counts.get(template[key]) || 0) + 1);
+  }
+  return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([value, count]) => ({ value, count }));
+}
+
+module.exports = {
+  TEMPLATE_MANIFEST,
+  GENERATIONS,
+  categorizeByName,
+  classifyTemplate,
+  getTemplateVariables,
+  getTemplateIgnore,
+  getTemplateCatalog,
+  getTemplateInfo,
+  countBy,
+};
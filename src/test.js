@@ -3,7 +3,7 @@
 const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
-const { utils, getExampleFolders, generateTemplate } = require('./index.js');
+const { utils, getTemplateCatalog, generateTemplate } = require('./index.js');
 
 const MY_API_KEY = 'ad30f9a246614faaa6a03374f83554c9';
 const TEST_DIR = 'test-results';
@@ -16,7 +16,7 @@ const log = {
 };
 
 async function getAllTemplates() {
-  const examples = await getExampleFolders();
+  const examples = await getTemplateCatalog();
   
   if (!examples || examples.length === 0) {
     log.error('No templates found in the examples directory');
@@ -62,14 +62,8 @@ async function testPromptChoices() {
       ]
     };
 
-    const validateDirectory = (input) => {
-      if (!input.length) return 'Project name is required';
-      if (!/^[a-zA-Z0-9-_]+$/.test(input)) return 'Project name can only contain letters, numbers, dashes and underscores';
-      return true;
-    };
-
     directoryValidation.tests.forEach(test => {
-      const result = validateDirectory(test.input);
+      const result = utils.validateProjectName(test.input);
       const passed = (result === true) === test.expected;
       if (!passed) {
         results.errors.push(`Directory validation failed: ${test.message}`);
@@ -77,8 +71,8 @@ async function testPromptChoices() {
     });
     results.prompts.push(directoryValidation);
 
-    // Test framework choices
-    const frameworkChoices = ['React', 'Next.js', 'Vue', 'Svelte', 'Angular', 'Nuxt', 'Qwik', 'Remix', 'SolidJS', 'SvelteKit', 'Vue', 'React Native'];
+    // Test framework choices, built from the templates that exist
+    const frameworkChoices = [...new Set(examples.map(example => example.framework))];
     results.prompts.push({
       name: 'Framework Choices',
       choices: frameworkChoices
@@ -100,10 +94,9 @@ async function testPromptChoices() {
     for (const framework of frameworkChoices) {
       for (const gen of genChoices) {
         try {
-          const filteredTemplates = examples.filter(example => {
-            const category = utils.categorizeTemplate(example);
-            return category?.framework === framework && category?.gen === gen;
-          });
+          const filteredTemplates = examples
+            .filter(example => example.framework === framework && example.gen === gen)
+            .map(example => example.name);
 
           const test = {
             framework,
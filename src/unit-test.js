@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+// Unit tests that run offline, against the monorepo in test/fixtures through
+// the local source. `test.js` generates every real template and needs the
+// network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const http = require('http');
+const { spawnSync } = require('child_process');
+const { getSource, generateTemplate } = require('./generate');
+const { listCacheEntries, pruneCache } = require('./cache');
+const { decodeRemotePath, createPathResolver } = require('./paths');
+const { loadWorkspace, rewriteManifest } = require('./workspace');
+const { DEMO_API_KEY, rewriteSource } = require('./api-key');
+const { globToRegExp } = require('./glob');
+const { removeFileReferences } = require('./ignore');
+const { mergeText, planFile, upgradeProject } = require('./upgrade');
+const { hashContent } = require('./provenance');
+const { parseArgs } = require('./cli');
+const { resolveSdkVersions } = require('./registry');
+const { UsageError } = require('./errors');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'monorepo');
+const TEMPLATE = 'react-app';
+
+async function makeTempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'builder-template-test-'));
+  test.after(() => fs.remove(dir));
+  return dir;
+}
+
+// The local source looks for the workspace at the root of the enclosing git
+// checkout, so the fixture is copied out of this repository first
+async function copyFixture() {
+  const dir = await makeTempDir();
+  await fs.copy(FIXTURE_DIR, dir);
+  return dir;
+}
+
+async function getFixtureSource() {
+  return getSource({ source: 'local', localPath: await copyFixture() });
+}
+
+// An npm registry serving `packages`, a map of names to their dist-tags and
+// versions, which tests can change while it runs
+async function startRegistry(packages) {
+  const server = http.createServer((request, response) => {
+    const name = decodeURIComponent(request.url.slice(1));
+    const metadata = packages[name];
+    response.writeHead(metadata ? 200 : 404, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(metadata ? {
+      name,
+      'dist-tags': metadata.distTags,
+      versions: Object.fromEntries(metadata.versions.map(version => [version, {}])),
+    } : {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  test.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Runs the CLI as CI would, with no terminal to prompt on, and returns its
+// exit code, output and the `done` or `error` event it ends with
+function runCli(args, cwd) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [path.join(__dirname, 'index.js'), ...args, '--json'], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const lines = stdout.trim().split('\n');
+  return { status, stderr, last: JSON.parse(lines[lines.length - 1]) };
+}
+
+test('decodeRemotePath decodes each segment', () => {
+  assert.deepEqual(decodeRemotePath('app/%5Bslug%5D/page.tsx'), { path: 'app/[slug]/page.tsx', warning: null });
+  assert.deepEqual(decodeRemotePath('./src//index.ts'), { path: 'src/index.ts', warning: null });
+  assert.equal(decodeRemotePath('100%/a.txt').path, '100%/a.txt');
+  assert.match(decodeRemotePath('100%/a.txt').warning, /isn't valid URL encoding/);
+});
+
+test('decodeRemotePath rejects paths that can\'t be written safely', () => {
+  assert.equal(decodeRemotePath('/etc/passwd').error, 'it is absolute');
+  assert.equal(decodeRemotePath('C:/file').error, 'it is absolute');
+  assert.equal(decodeRemotePath('a/%2E%2E/../b').error, 'it leaves the template directory');
+  assert.equal(decodeRemotePath('a%2Fb').error, 'a name in it decodes to a path separator');
+  assert.equal(decodeRemotePath('a%5Cb').error, 'a name in it decodes to a path separator');
+  assert.equal(decodeRemotePath('a%0Ab').error, 'a name in it has a control character');
+  assert.equal(decodeRemotePath('./.').error, 'it is empty');
+});
+
+test('createPathResolver keeps the first file written to a path', () => {
+  const resolver = createPathResolver();
+  assert.equal(resolver.resolve('app/%5Bslug%5D/page.tsx'), 'app/[slug]/page.tsx');
+  assert.equal(resolver.resolve('app/[slug]/page.tsx'), null);
+  assert.equal(resolver.resolve('../outside'), null);
+  assert.deepEqual(resolver.renamed, [{ from: 'app/%5Bslug%5D/page.tsx', to: 'app/[slug]/page.tsx' }]);
+  assert.deepEqual(resolver.rejected, [
+    { path: 'app/[slug]/page.tsx', reason: 'app/%5Bslug%5D/page.tsx is also written to app/[slug]/page.tsx' },
+    { path: '../outside', reason: 'it leaves the template directory' },
+  ]);
+});
+
+test('createPathResolver rejects a file where another needs a directory', () => {
+  const fileFirst = createPathResolver();
+  assert.equal(fileFirst.resolve('%61'), 'a');
+  assert.equal(fileFirst.resolve('a/b'), null);
+  assert.deepEqual(fileFirst.rejected, [{ path: 'a/b', reason: '%61 is written to a, where it needs a directory' }]);
+
+  const directoryFirst = createPathResolver();
+  assert.equal(directoryFirst.resolve('a/b/c'), 'a/b/c');
+  assert.equal(directoryFirst.resolve('a/%62'), null);
+  assert.deepEqual(directoryFirst.rejected, [{ path: 'a/%62', reason: 'a/b is a directory of other files' }]);
+});
+
+test('parseArgs reads flags, aliases and environment variables', () => {
+  const { options, positionals } = parseArgs(
+    ['create', '--name=site', '--template', 'react-app', '-y', '--no-git', '--var', 'a=1', '--var', 'b=2', '--', '--literal'],
+    { BUILDER_TEMPLATE_REF: 'v2', BUILDER_TEMPLATE_REPO: 'me/fork' }
+  );
+  assert.deepEqual(positionals, ['create', '--literal']);
+  assert.deepEqual(options, {
+    name: 'site',
+    template: 'react-app',
+    yes: true,
+    git: false,
+    var: ['a=1', 'b=2'],
+    repo: 'me/fork',
+    ref: 'v2',
+  });
+  assert.equal(parseArgs(['--ref', 'main'], { BUILDER_TEMPLATE_REF: 'v2' }).options.ref, 'main');
+});
+
+test('parseArgs rejects options it doesn\'t know or can\'t read', () => {
+  assert.throws(() => parseArgs(['--nope'], {}), { name: UsageError.name, message: 'Unknown option: --nope' });
+  assert.throws(() => parseArgs(['-x'], {}), { message: 'Unknown option: -x' });
+  assert.throws(() => parseArgs(['--name'], {}), { message: 'Option --name requires a value' });
+  assert.throws(() => parseArgs(['--name', '--yes'], {}), { message: 'Option --name requires a value' });
+  assert.throws(() => parseArgs(['--yes=1'], {}), { message: 'Option --yes does not take a value' });
+});
+
+test('CONSTANTS are built from the repository and ref the environment sets', () => {
+  const script = `console.log(JSON.stringify(require(${JSON.stringify(path.join(__dirname, 'index.js'))}).CONSTANTS))`;
+  const { BUILDER_TEMPLATE_PATH, ...env } = process.env;
+  const { stdout } = spawnSync(process.execPath, ['-e', script], {
+    env: { ...env, BUILDER_TEMPLATE_REPO: 'me/fork', BUILDER_TEMPLATE_REF: 'v2' },
+    encoding: 'utf8',
+  });
+  assert.deepEqual(JSON.parse(stdout), {
+    GITHUB_REPO: 'me/fork',
+    GITHUB_REF: 'v2',
+    ROOT_EXAMPLES_DIR: 'packages/sdks/snippets',
+    GITHUB_HTML_URL: 'https://github.com/me/fork/tree/v2',
+    GITHUB_RAW_URL: 'https://raw.githubusercontent.com/me/fork/v2',
+  });
+});
+
+test('cache prune removes commits that only have repository files left', async () => {
+  const cacheDir = await makeTempDir();
+  const repoDir = path.join(cacheDir, 'BuilderIO', 'builder');
+  const [snapshot, referenced, bare] = ['a', 'b', 'c'].map(char => char.repeat(40));
+  await fs.outputJson(path.join(repoDir, 'refs', 'main.json'), { ref: 'main', sha: referenced });
+  await fs.outputJson(path.join(repoDir, snapshot, encodeURIComponent('packages/sdks/snippets'), 'templates.json'), []);
+  await fs.outputJson(path.join(repoDir, referenced, '.repo', 'manifests.json'), []);
+  await fs.outputJson(path.join(repoDir, bare, '.repo', 'manifests.json'), []);
+  await fs.outputFile(path.join(cacheDir, 'notes.txt'), 'not part of the cache');
+
+  const byCommit = (entries) => entries.sort((a, b) => a.commit.localeCompare(b.commit));
+  assert.deepEqual(byCommit(await listCacheEntries(cacheDir)).map(({ commit, examplesDir, refs }) => [commit, examplesDir, refs]), [
+    [snapshot, 'packages/sdks/snippets', []],
+    [referenced, null, ['main']],
+    [bare, null, []],
+  ]);
+
+  assert.deepEqual(byCommit(await pruneCache(cacheDir)).map(entry => entry.commit), [snapshot, bare]);
+  assert.deepEqual((await fs.readdir(repoDir)).sort(), [referenced, 'refs']);
+
+  assert.deepEqual((await pruneCache(cacheDir, { all: true })).map(entry => entry.commit), [referenced]);
+  assert.deepEqual(await fs.readdir(cacheDir), ['notes.txt']);
+});
+
+test('rewriteManifest resolves workspace and catalog versions from the monorepo', async () => {
+  const source = await getFixtureSource();
+  const workspace = await loadWorkspace(source);
+  const packageJson = JSON.parse(await source.readFile(TEMPLATE, 'package.json'));
+
+  const { changes, warnings } = rewriteManifest(packageJson, { workspace });
+  assert.deepEqual(packageJson, {
+    name: 'react-app',
+    private: true,
+    scripts: { dev: 'next dev', e2e: 'playwright test' },
+    dependencies: {
+      '@builder.io/sdk-react': '2.0.0',
+      '@repo/ui': '^1.4.0',
+      analytics: 'file:./vendor/analytics',
+      next: '14.2.5',
+      react: '^18.3.1',
+    },
+    devDependencies: { '@playwright/test': '^1.44.0', typescript: '^5.4.0' },
+  });
+  assert.deepEqual(changes.map(({ field, name }) => [field, name]), [
+    ['dependencies', '@builder.io/sdk-react'],
+    ['dependencies', '@repo/ui'],
+    ['dependencies', 'next'],
+    ['dependencies', 'react'],
+    ['devDependencies', '@repo/test-utils'],
+    ['scripts', 'build'],
+    ['scripts', 'test'],
+    ['pnpm.overrides', undefined],
+  ]);
+  assert.deepEqual(warnings, ['@repo/test-utils is private to the template\'s monorepo, removed it']);
+});
+
+test('rewriteManifest pins SDK packages to the picked version', async () => {
+  const source = await getFixtureSource();
+  const workspace = await loadWorkspace(source);
+  const packageJson = JSON.parse(await source.readFile(TEMPLATE, 'package.json'));
+
+  rewriteManifest(packageJson, { workspace, sdkVersion: '1.9.0', sdkVersions: { '@builder.io/sdk-react': '2.1.3' } });
+  assert.equal(packageJson.dependencies['@builder.io/sdk-react'], '2.1.3');
+  assert.equal(packageJson.dependencies['@repo/ui'], '^1.4.0');
+});
+
+test('rewriteManifest without the workspace only gives SDK packages the SDK version', () => {
+  const packageJson = {
+    dependencies: { '@builder.io/sdk-react': 'workspace:*', '@repo/ui': 'workspace:^', react: 'catalog:' },
+  };
+  const { warnings } = rewriteManifest(packageJson, { sdkVersion: '2.0.0' });
+  assert.deepEqual(packageJson.dependencies, { '@builder.io/sdk-react': '2.0.0', '@repo/ui': 'latest', react: 'latest' });
+  assert.deepEqual(warnings, [
+    'Could not look up the version of @repo/ui, using latest',
+    'Could not look up the catalog version of react, using latest',
+  ]);
+});
+
+test('resolveSdkVersions pins every SDK package', () => {
+  const sdkReact = { name: '@builder.io/sdk-react', distTags: { latest: '2.1.0', next: '3.0.0-beta.1' }, versions: ['1.9.0', '2.0.0', '2.1.0', '3.0.0-beta.1'] };
+  const sdkNext = { name: '@builder.io/sdk-react-nextjs', distTags: { latest: '0.9.0' }, versions: ['0.8.0', '0.9.0', '2.0.0'] };
+
+  assert.deepEqual(resolveSdkVersions([sdkReact, sdkNext], 'latest'), {
+    versions: { '@builder.io/sdk-react': '2.1.0', '@builder.io/sdk-react-nextjs': '0.9.0' },
+    warnings: [],
+  });
+  assert.deepEqual(resolveSdkVersions([sdkReact, sdkNext], '^2.0.0').versions, { '@builder.io/sdk-react': '2.1.0', '@builder.io/sdk-react-nextjs': '2.0.0' });
+  assert.deepEqual(resolveSdkVersions([sdkReact, sdkNext], 'next'), {
+    versions: { '@builder.io/sdk-react': '3.0.0-beta.1', '@builder.io/sdk-react-nextjs': '0.9.0' },
+    warnings: ['No published version of @builder.io/sdk-react-nextjs matches "next", using 0.9.0'],
+  });
+  assert.throws(() => resolveSdkVersions([sdkReact], '4.0.0'), { message: 'No published version of @builder.io/sdk-react matches "4.0.0"' });
+});
+
+test('rewriteSource points the demo key at the env variable', async () => {
+  const source = await getFixtureSource();
+  const content = (await source.readFile(TEMPLATE, 'src/App.tsx')).toString('utf8');
+  const reference = 'process.env.NEXT_PUBLIC_BUILDER_API_KEY';
+
+  const result = rewriteSource(content, '.tsx', reference);
+  assert.equal(result.skipped, false);
+  assert.ok(!result.content.includes(DEMO_API_KEY));
+  assert.match(result.content, /apiKey: process\.env\.NEXT_PUBLIC_BUILDER_API_KEY! \}/);
+  assert.match(result.content, /'https:\/\/cdn\.builder\.io\/api\/v3\/content\/page\?apiKey=' \+ process\.env\.NEXT_PUBLIC_BUILDER_API_KEY;/);
+  assert.match(result.content, /apiKey=\{process\.env\.NEXT_PUBLIC_BUILDER_API_KEY!\}/);
+  assert.match(rewriteSource(content, '.jsx', reference).content, /apiKey=\{process\.env\.NEXT_PUBLIC_BUILDER_API_KEY\}/);
+});
+
+test('rewriteSource leaves keys outside Vue script blocks alone', () => {
+  const content = [
+    '<template>',
+    `  <Content api-key="${DEMO_API_KEY}" />`,
+    '</template>',
+    '<script setup>',
+    `const apiKey = \`${DEMO_API_KEY}\`;`,
+    '</script>',
+  ].join('\n');
+
+  const result = rewriteSource(content, '.vue', 'import.meta.env.VITE_BUILDER_API_KEY');
+  assert.equal(result.skipped, true);
+  assert.ok(result.content.includes(`api-key="${DEMO_API_KEY}"`));
+  assert.ok(result.content.includes('const apiKey = import.meta.env.VITE_BUILDER_API_KEY;'));
+});
+
+test('mergeText merges both sides and marks conflicts', () => {
+  const base = Buffer.from('a\nb\nc\n');
+  assert.deepEqual(mergeText(Buffer.from('A\nb\nc\n'), base, Buffer.from('a\nb\nC\n'), 'template'), { content: 'A\nb\nC\n', conflicts: 0 });
+
+  const { content, conflicts } = mergeText(Buffer.from('a\nB\nc\n'), base, Buffer.from('a\nX\nc\n'), 'template');
+  assert.equal(conflicts, 1);
+  assert.equal(content, 'a\n<<<<<<< yours\nB\n=======\nX\n>>>>>>> template\nc\n');
+});
+
+test('planFile decides from who changed the file since it was generated', () => {
+  const base = Buffer.from('a\nb\nc\n');
+  const recorded = hashContent(base);
+  const plan = (ours, theirs, options = {}) => planFile('file.txt', { recorded, ours, base, theirs, theirsLabel: 'template', ...options });
+
+  assert.equal(plan(base, base).action, 'unchanged');
+  assert.deepEqual(plan(base, Buffer.from('a\nb\nC\n')), { path: 'file.txt', action: 'update', content: Buffer.from('a\nb\nC\n') });
+  assert.equal(plan(base, null).action, 'delete');
+  assert.equal(plan(null, null, { recorded: undefined, base: null }).action, 'unchanged');
+  assert.equal(plan(null, base, { recorded: undefined, base: null }).action, 'create');
+  assert.equal(plan(Buffer.from('A\nb\nc\n'), base).action, 'unchanged');
+  assert.deepEqual(plan(Buffer.from('A\nb\nc\n'), Buffer.from('a\nb\nC\n')), { path: 'file.txt', action: 'merge', content: 'A\nb\nC\n' });
+  assert.equal(plan(Buffer.from('a\nB\nc\n'), Buffer.from('a\nX\nc\n')).action, 'conflict');
+  assert.equal(plan(null, Buffer.from('a\nX\nc\n')).reason, 'you deleted it, the template changed it');
+  assert.equal(plan(Buffer.from('a\nB\nc\n'), null).reason, 'you changed it, the template removed it');
+  assert.equal(plan(Buffer.from('\0a'), Buffer.from('\0b')).reason, 'binary file changed on both sides');
+});
+
+test('upgrade keeps the SDK versions the project was generated with', async () => {
+  const packages = { '@builder.io/sdk-react': { distTags: { latest: '1.5.0' }, versions: ['1.5.0'] } };
+  const registry = await startRegistry(packages);
+  const directory = path.join(await makeTempDir(), 'app');
+  const readSdkVersion = async () => (await fs.readJson(path.join(directory, 'package.json'))).dependencies['@builder.io/sdk-react'];
+
+  await generateTemplate({ directory, template: TEMPLATE, source: 'local', localPath: await copyFixture(), version: 'latest', registry, silent: true });
+  assert.equal(await readSdkVersion(), '1.5.0');
+
+  packages['@builder.io/sdk-react'] = { distTags: { latest: '1.6.0' }, versions: ['1.5.0', '1.6.0'] };
+  const result = await upgradeProject({ directory, registry, silent: true });
+  assert.deepEqual(result.sdkVersions, { '@builder.io/sdk-react': '1.5.0' });
+  assert.equal(await readSdkVersion(), '1.5.0');
+
+  const moved = await upgradeProject({ directory, registry, version: 'latest', silent: true });
+  assert.deepEqual(moved.sdkVersions, { '@builder.io/sdk-react': '1.6.0' });
+  assert.equal(await readSdkVersion(), '1.6.0');
+});
+
+test('globToRegExp matches within and across directories', () => {
+  assert.ok(globToRegExp('*.ts').test('index.ts'));
+  assert.ok(!globToRegExp('*.ts').test('src/index.ts'));
+  assert.ok(globToRegExp('**/*.ts').test('index.ts'));
+  assert.ok(globToRegExp('**/*.ts').test('src/lib/index.ts'));
+  assert.ok(globToRegExp('e2e/**').test('e2e/home.spec.ts'));
+  assert.ok(globToRegExp('playwright.config.?s').test('playwright.config.ts'));
+  assert.ok(!globToRegExp('playwright.config.?s').test('playwright.config.mjs'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+});
+
+test('removeFileReferences drops scripts and packages of removed files', () => {
+  const packageJson = {
+    scripts: {
+      dev: 'next dev',
+      e2e: 'playwright test',
+      seed: 'node ./scripts/seed.js',
+      lint: 'eslint ./e2e/ src',
+      check: 'tsc -p tsconfig.json',
+    },
+    devDependencies: { '@playwright/test': '^1.44.0' },
+  };
+
+  const changes = removeFileReferences(packageJson, {
+    removed: ['playwright.config.ts', 'scripts/seed.js', 'e2e/home.spec.ts'],
+    kept: ['tsconfig.json', 'src/index.ts'],
+  });
+  assert.deepEqual(packageJson, { scripts: { dev: 'next dev', check: 'tsc -p tsconfig.json' } });
+  assert.deepEqual(changes.map(({ field, name }) => [field, name]), [
+    ['scripts', 'e2e'],
+    ['scripts', 'seed'],
+    ['scripts', 'lint'],
+    ['devDependencies', '@playwright/test'],
+  ]);
+  assert.deepEqual(removeFileReferences({ scripts: { e2e: 'playwright test' } }, { removed: [], kept: [] }), []);
+});
+
+test('removeFileReferences drops local packages in removed directories', () => {
+  const packageJson = { dependencies: { analytics: 'file:./vendor/analytics', ui: 'link:../ui', react: '^18.3.1' } };
+  const changes = removeFileReferences(packageJson, { removed: ['vendor/analytics/index.js'], kept: ['src/index.ts'] });
+  assert.deepEqual(packageJson, { dependencies: { ui: 'link:../ui', react: '^18.3.1' } });
+  assert.deepEqual(changes, [{ field: 'dependencies', name: 'analytics', from: 'file:./vendor/analytics', to: null }]);
+});
+
+test('references to left-out files are removed with every plugin disabled', async () => {
+  const directory = path.join(await makeTempDir(), 'app');
+  const result = await generateTemplate({
+    directory,
+    template: TEMPLATE,
+    source: 'local',
+    localPath: await copyFixture(),
+    exclude: ['vendor/**'],
+    plugins: [],
+    silent: true,
+  });
+
+  assert.deepEqual(result.ignored.sort(), ['playwright.config.ts', 'vendor/analytics/index.js', 'vendor/analytics/package.json']);
+  const packageJson = await fs.readJson(path.join(directory, 'package.json'));
+  assert.deepEqual(packageJson.scripts, { dev: 'next dev', build: 'node ../../scripts/build.js && next build' });
+  assert.equal(packageJson.dependencies.analytics, undefined);
+  assert.deepEqual(packageJson.devDependencies, { '@repo/test-utils': 'workspace:*', typescript: '^5.4.0' });
+  assert.deepEqual(result.packageJson.map(({ field, name }) => [field, name]), [
+    ['scripts', 'e2e'],
+    ['scripts', 'test'],
+    ['dependencies', 'analytics'],
+    ['devDependencies', '@playwright/test'],
+  ]);
+});
+
+test('--gen alone is checked against the framework picked by default', async () => {
+  const args = ['--source', 'local', '--local-path', await copyFixture(), '--name', 'app', '--dry-run', '--offline'];
+  const cwd = await makeTempDir();
+
+  const { status, stderr, last } = runCli([...args, '--gen', 'gen2'], cwd);
+  assert.equal(status, 0, stderr);
+  assert.deepEqual([last.result.template, last.result.framework, last.result.gen], ['react-app', 'Next.js', 'Gen2']);
+
+  const invalid = runCli([...args, '--gen', 'gen1'], cwd);
+  assert.equal(invalid.status, 2);
+  assert.equal(invalid.last.message, 'Invalid value for --gen: "gen1". Expected one of: Gen2');
+});
@@ -0,0 +1,217 @@
+const fs = require("fs-extra");
+const os = require('os');
+const path = require("path");
+const EventEmitter = require('events');
+const chalk = require('chalk');
+const { diff3Merge } = require('node-diff3');
+const { createReporter, getSource, generateTemplate } = require('./generate');
+const { PROVENANCE_FILE, hashContent, readProvenance } = require('./provenance');
+const { readApiKey } = require('./api-key');
+const { removeEmptyParents } = require('./plugins');
+const { resolveInside } = require('./paths');
+const { log } = require('./log');
+
+const readIfExists = (filePath) => fs.readFile(filePath).catch(error => {
+  if (error.code === 'ENOENT') return null;
+  throw error;
+});
+
+const isBinary = (...contents) => contents.some(content => content?.includes(0));
+
+// Merges the changes from base to theirs into ours, line by line. Conflicting
+// hunks get git-style markers.
+function mergeText(ours, base, theirs, theirsLabel) {
+  const split = (content) => (content === null ? [] : content.toString('utf8').split('\n'));
+  let conflicts = 0;
+  const lines = diff3Merge(split(ours), split(base), split(theirs)).flatMap(region => {
+    if (region.ok) return region.ok;
+    conflicts++;
+    return ['<<<<<<< yours', ...region.conflict.a, '=======', ...region.conflict.b, `>>>>>>> ${theirsLabel}`];
+  });
+  return { content: lines.join('\n'), conflicts };
+}
+
+// What to do with one file. `recorded` is its hash when the project was
+// generated, `base` the regenerated old version (null when it can't be), and
+// `theirs` the new one.
+function planFile(filePath, { recorded, ours, base, theirs, theirsLabel }) {
+  const oursHash = ours && hashContent(ours);
+  const theirsHash = theirs && hashContent(theirs);
+
+  if (theirsHash === (recorded || null)) {
+    return { path: filePath, action: 'unchanged' };
+  }
+  if (oursHash === (recorded || null)) {
+    if (!theirs) return { path: filePath, action: 'delete' };
+    return { path: filePath, action: recorded ? 'update' : 'create', content: theirs };
+  }
+  if (oursHash === theirsHash) {
+    return { path: filePath, action: 'unchanged' };
+  }
+
+  // Changed on both sides
+  if (!ours) {
+    return { path: filePath, action: 'conflict', reason: 'you deleted it, the template changed it' };
+  }
+  if (!theirs) {
+    return { path: filePath, action: 'conflict', reason: 'you changed it, the template removed it' };
+  }
+  if (isBinary(ours, base, theirs)) {
+    return { path: filePath, action: 'conflict', reason: 'binary file changed on both sides' };
+  }
+  const { content, conflicts } = mergeText(ours, recorded ? base : null, theirs, theirsLabel);
+  if (conflicts > 0) {
+    return { path: filePath, action: 'conflict', reason: `${conflicts} conflicting change(s), marked in the file`, content };
+  }
+  return { path: filePath, action: 'merge', content };
+}
+
+// Brings a generated project up to date with a newer version of its template.
+// The template is generated again at the commit and SDK versions in the
+// project's provenance file (the base), and at `ref` (theirs), with the same
+// API key, variables and plugins. Files you never changed are replaced, files changed
+// on both sides are merged, and clashing changes are marked as conflicts.
+async function upgradeProject({
+  directory = '.',
+  ref,
+  version,
+  variables,
+  dryRun = false,
+  config,
+  registry,
+  silent = false,
+  events = new EventEmitter(),
+  cache,
+  cacheDir,
+  offline,
+  ...sourceOverrides
+} = {}) {
+  const printLog = ({ level, formatted }) => log[level](formatted);
+  if (!silent) {
+    events.on('log', printLog);
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'builder-upgrade-'));
+  try {
+    const reporter = createReporter(events);
+    const projectDir = path.resolve(directory);
+    const provenance = await readProvenance(projectDir);
+    const { type, ...recordedSource } = provenance.source;
+    const recordedOptions = { source: type, ...recordedSource, cache, cacheDir, offline };
+    // Options that weren't passed keep what was recorded
+    const overrides = Object.fromEntries(Object.entries(sourceOverrides).filter(([, value]) => value !== undefined));
+    const newSource = getSource({ ...recordedOptions, ...overrides, ref: ref || recordedSource.ref });
+    const commit = await newSource.resolveRef();
+
+    const changesVariables = Object.entries(variables || {}).some(([name, value]) => provenance.variables?.[name] !== value);
+    if (commit && commit === provenance.commit && !version && !changesVariables) {
+      reporter.log.success(`Already up to date with ${chalk.cyan(newSource.label)}`);
+      return { projectDir, template: provenance.template, from: provenance.commit, to: commit, upToDate: true, dryRun, files: [], warnings: reporter.warnings };
+    }
+
+    const apiKey = provenance.apiKey ? await readApiKey(projectDir, provenance.framework) : null;
+    if (provenance.apiKey && !apiKey) {
+      reporter.log.warn(`Could not read the API key from ${provenance.apiKey.envFile}, the new template files will use the demo key`);
+    }
+    const settings = {
+      template: provenance.template,
+      include: provenance.include,
+      exclude: provenance.exclude,
+      framework: provenance.framework,
+      projectName: provenance.projectName,
+      apiKey,
+      config,
+      registry,
+      silent: true,
+    };
+
+    // Without a commit (a local source read from disk) the old version can't
+    // be generated again, so files changed on both sides can't be merged
+    let baseDir = null;
+    if (provenance.commit) {
+      reporter.log.info(`Generating ${chalk.cyan(provenance.template)} as it was at ${chalk.gray(provenance.commit.slice(0, 7))}...`);
+      baseDir = path.join(tempDir, 'base');
+      await generateTemplate({
+        ...settings,
+        directory: baseDir,
+        source: getSource({ ...recordedOptions, ref: provenance.commit }),
+        version: provenance.sdkVersion,
+        sdkVersions: provenance.sdkVersions,
+        variables: provenance.variables,
+        events: new EventEmitter(),
+      });
+    } else {
+      reporter.log.warn('The project was generated from a local directory without a ref, so files changed on both sides will be conflicts');
+    }
+
+    reporter.log.info(`Generating ${chalk.cyan(provenance.template)} from ${chalk.cyan(newSource.label)}${commit ? chalk.gray(` (${commit.slice(0, 7)})`) : ''}...`);
+    const theirsDir = path.join(tempDir, 'theirs');
+    await generateTemplate({
+      ...settings,
+      directory: theirsDir,
+      source: newSource,
+      version: version || provenance.sdkVersion,
+      // Only --sdk-version moves the SDK packages, not newer releases of `latest`
+      sdkVersions: version ? undefined : provenance.sdkVersions,
+      variables: { ...provenance.variables, ...variables },
+      offline,
+      events,
+    });
+    const newProvenance = await readProvenance(theirsDir);
+
+    const theirsLabel = `template${commit ? ` ${commit.slice(0, 7)}` : ''}`;
+    const paths = [...new Set([...Object.keys(provenance.files), ...Object.keys(newProvenance.files)])].sort()
+      .filter(filePath => {
+        // The provenance file can be edited by hand
+        if (resolveInside(projectDir, filePath)) return true;
+        reporter.log.warn(`Skipped ${filePath} from ${PROVENANCE_FILE}: it is outside the project`);
+        return false;
+      });
+    const files = [];
+    for (const filePath of paths) {
+      files.push(planFile(filePath, {
+        recorded: provenance.files[filePath],
+        ours: await readIfExists(path.join(projectDir, filePath)),
+        base: baseDir && await readIfExists(path.join(baseDir, filePath)),
+        theirs: newProvenance.files[filePath] ? await fs.readFile(path.join(theirsDir, filePath)) : null,
+        theirsLabel,
+      }));
+    }
+
+    if (!dryRun) {
+      for (const file of files) {
+        const targetPath = path.join(projectDir, file.path);
+        if (file.action === 'delete') {
+          await fs.remove(targetPath);
+          await removeEmptyParents(projectDir, file.path);
+        } else if (file.content !== undefined) {
+          await fs.outputFile(targetPath, file.content);
+        }
+      }
+      // The new hashes are of the template's files, not the merged ones, so
+      // the next upgrade still sees your changes as yours
+      await fs.copy(path.join(theirsDir, PROVENANCE_FILE), path.join(projectDir, PROVENANCE_FILE));
+    }
+
+    return {
+      projectDir,
+      template: provenance.template,
+      from: provenance.commit,
+      to: commit,
+      upToDate: false,
+      dryRun,
+      sdkVersions: newProvenance.sdkVersions,
+      files: files.map(({ content, ...file }) => file),
+      warnings: reporter.warnings,
+    };
+  } finally {
+    events.removeListener('log', printLog);
+    await fs.remove(tempDir);
+  }
+}
+
+module.exports = {
+  mergeText,
+  planFile,
+  upgradeProject,
+};
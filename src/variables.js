@@ -0,0 +1,126 @@
+const { matchesGlobs } = require('./glob');
+const { TemplateError, UsageError } = require('./errors');
+
+// Variables a template declares in its manifest, e.g.
+// { "name": "siteTitle", "message": "Site title", "default": "My site",
+//   "placeholder": "Builder.io Demo", "files": ["src/**"] }
+// Every occurrence of the placeholder (`{{name}}` unless set) in the text
+// files matching `files`, and in file names, is replaced with the value.
+const VARIABLE_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const VARIABLE_FIELDS = ['name', 'message', 'default', 'required', 'pattern', 'choices', 'placeholder', 'files'];
+
+// Checks the manifest's `variables` and fills in what they leave out
+function normalizeVariables(variables = [], template) {
+  const invalid = (message) => new TemplateError(`Invalid variables in ${template}'s manifest: ${message}`);
+  if (!Array.isArray(variables)) {
+    throw invalid('"variables" must be a list');
+  }
+
+  const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+  return variables.map((variable, i) => {
+    if (!variable || typeof variable !== 'object' || !VARIABLE_NAME.test(variable.name)) {
+      throw invalid(`entry ${i + 1} needs a "name" made of letters, numbers and underscores`);
+    }
+    const { name } = variable;
+    const unknown = Object.keys(variable).filter(field => !VARIABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw invalid(`${name} has unknown field(s) ${unknown.join(', ')}. Expected: ${VARIABLE_FIELDS.join(', ')}`);
+    }
+    if (variables.findIndex(other => other.name === name) !== i) {
+      throw invalid(`${name} is declared twice`);
+    }
+    for (const field of ['message', 'default', 'pattern', 'placeholder']) {
+      if (variable[field] !== undefined && typeof variable[field] !== 'string') {
+        throw invalid(`"${field}" of ${name} must be a string`);
+      }
+    }
+    if (variable.placeholder === '') {
+      throw invalid(`"placeholder" of ${name} can't be empty`);
+    }
+    if (variable.choices !== undefined && !isStringList(variable.choices)) {
+      throw invalid(`"choices" of ${name} must be a list of strings`);
+    }
+    if (variable.files !== undefined && !isStringList(variable.files)) {
+      throw invalid(`"files" of ${name} must be a list of globs`);
+    }
+    if (variable.pattern !== undefined) {
+      try {
+        new RegExp(variable.pattern);
+      } catch (error) {
+        throw invalid(`"pattern" of ${name} isn't a regular expression: ${error.message}`);
+      }
+    }
+
+    const normalized = {
+      name,
+      message: variable.message || name,
+      default: variable.default,
+      // Without a default, a variable has to be answered unless it says otherwise
+      required: variable.required ?? variable.default === undefined,
+      pattern: variable.pattern,
+      choices: variable.choices,
+      placeholder: variable.placeholder || `{{${name}}}`,
+      files: variable.files || ['**'],
+    };
+    if (normalized.default !== undefined && validateVariable(normalized, normalized.default) !== true) {
+      throw invalid(`the default of ${name} fails its own checks`);
+    }
+    return normalized;
+  });
+}
+
+// True, or why the value isn't allowed
+function validateVariable(variable, value) {
+  if (value === '') {
+    return variable.required ? `${variable.name} is required` : true;
+  }
+  if (variable.choices && !variable.choices.includes(value)) {
+    return `${variable.name} must be one of: ${variable.choices.join(', ')}`;
+  }
+  if (variable.pattern && !new RegExp(variable.pattern).test(value)) {
+    return `${variable.name} must match /${variable.pattern}/`;
+  }
+  return true;
+}
+
+// The value of every variable: from `values` when given there, otherwise its
+// default. Values for variables the template doesn't declare are ignored, so
+// one set of values can serve several templates.
+function resolveVariables(variables, values = {}) {
+  const resolved = {};
+  for (const variable of variables) {
+    const value = values[variable.name] ?? variable.default ?? '';
+    const result = validateVariable(variable, String(value));
+    if (result !== true) {
+      throw new UsageError(`Invalid value for template variable ${result}`);
+    }
+    resolved[variable.name] = String(value);
+  }
+  return resolved;
+}
+
+const replaceAll = (text, variables, values) => variables.reduce(
+  (result, variable) => result.split(variable.placeholder).join(values[variable.name]),
+  text
+);
+
+// The file with every placeholder replaced, or null when it has none. Binary
+// files (with a NUL byte) only have their names changed.
+function substituteVariables(file, variables, values) {
+  const path = replaceAll(file.path, variables, values);
+  const inScope = variables.filter(variable => matchesGlobs(file.path, variable.files));
+  const text = inScope.length > 0 && !file.content.includes(0) ? file.content.toString('utf8') : null;
+  const content = text === null ? null : replaceAll(text, inScope, values);
+
+  if (path === file.path && content === text) {
+    return null;
+  }
+  return { path, content: content === text ? file.content : Buffer.from(content) };
+}
+
+module.exports = {
+  normalizeVariables,
+  validateVariable,
+  resolveVariables,
+  substituteVariables,
+};
@@ -0,0 +1,175 @@
+const fs = require("fs-extra");
+const path = require("path");
+const util = require('util');
+const EventEmitter = require('events');
+const { createPool } = require('./http');
+const { generateTemplate } = require('./generate');
+const { detectPackageManager, getInstallCommand, getRunCommand, runCapturedCommand } = require('./package-manager');
+
+// Run in this order when the generated package.json has them
+const VERIFY_SCRIPTS = ['build', 'typecheck', 'lint'];
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_STEP_TIMEOUT = 10 * 60 * 1000;
+
+const stepFromCommand = (name, command, { exitCode, timedOut, output, duration }) => ({
+  name,
+  command: command.join(' '),
+  status: exitCode === 0 ? 'passed' : timedOut ? 'timeout' : 'failed',
+  exitCode,
+  duration,
+  output: util.stripVTControlCharacters(output),
+});
+
+const skippedStep = (name) => ({ name, command: null, status: 'skipped', exitCode: null, duration: 0, output: '' });
+
+// Generates the template into outDir/<name>, installs its dependencies and
+// runs its scripts. Once a step fails, the ones that need it are skipped.
+async function verifyTemplate(template, { source, outDir, timeout, packageManager, ...generateOptions }) {
+  const projectDir = path.join(outDir, template.name);
+  const started = Date.now();
+  const steps = [];
+
+  const events = new EventEmitter();
+  const logLines = [];
+  events.on('log', ({ level, message }) => logLines.push(`${level}: ${message}`));
+  try {
+    await generateTemplate({
+      ...generateOptions,
+      directory: projectDir,
+      template: template.name,
+      framework: template.framework,
+      source,
+      force: true,
+      events,
+      silent: true,
+    });
+    steps.push({ name: 'generate', command: null, status: 'passed', exitCode: 0, duration: Date.now() - started, output: logLines.join('\n') });
+  } catch (error) {
+    steps.push({ name: 'generate', command: null, status: 'failed', exitCode: null, duration: Date.now() - started, output: logLines.join('\n'), error: error.message });
+  }
+
+  const generated = steps[0].status === 'passed';
+  const scripts = generated
+    ? Object.keys((await fs.readJson(path.join(projectDir, 'package.json')).catch(() => null))?.scripts || {})
+    : [];
+  const manager = generated ? packageManager || await detectPackageManager(projectDir) : null;
+
+  if (generated) {
+    const installCommand = getInstallCommand(manager);
+    steps.push(stepFromCommand('install', installCommand, await runCapturedCommand(installCommand, projectDir, { timeout })));
+  } else {
+    steps.push(skippedStep('install'));
+  }
+
+  const installed = steps[1].status === 'passed';
+  for (const script of VERIFY_SCRIPTS.filter(name => scripts.includes(name))) {
+    if (!installed) {
+      steps.push(skippedStep(script));
+      continue;
+    }
+    const command = getRunCommand(manager, script);
+    steps.push(stepFromCommand(script, command, await runCapturedCommand(command, projectDir, { timeout })));
+  }
+
+  return {
+    template: template.name,
+    framework: template.framework,
+    gen: template.gen,
+    projectDir,
+    packageManager: manager,
+    status: steps.every(step => step.status === 'passed' || step.status === 'skipped') ? 'passed' : 'failed',
+    duration: Date.now() - started,
+    steps,
+  };
+}
+
+// Verifies `templates` (from the catalog) with at most `concurrency` at a
+// time, calling onResult as each finishes. Results come back in the order
+// of `templates`.
+async function verifyTemplates(source, templates, {
+  outDir,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeout = DEFAULT_STEP_TIMEOUT,
+  onResult,
+  ...options
+}) {
+  const run = createPool(concurrency);
+  const started = Date.now();
+  await fs.ensureDir(outDir);
+
+  const results = await Promise.all(templates.map(template => run(async () => {
+    const result = await verifyTemplate(template, { ...options, source, outDir, timeout });
+    onResult?.(result);
+    return result;
+  })));
+
+  return {
+    source: source.label,
+    ref: await source.resolveRef(),
+    passed: results.filter(result => result.status === 'passed').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    duration: Date.now() - started,
+    results,
+  };
+}
+
+// XML 1.0 can't hold most control characters, even escaped
+const escapeXml = (value) => String(value)
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+function describeFailure(step) {
+  if (step.error) return step.error;
+  if (step.status === 'timeout') return `${step.command} timed out`;
+  return step.exitCode === null ? `${step.command} could not be run` : `${step.command} exited with code ${step.exitCode}`;
+}
+
+// One test suite per template and one test case per step, which is what CI
+// test report viewers expect
+function formatJUnitReport(report) {
+  const testCase = (result, step) => {
+    const attributes = `classname="${escapeXml(`${result.framework}.${result.gen}.${result.template}`)}" name="${escapeXml(step.name)}" time="${seconds(step.duration)}"`;
+    const output = step.output ? `\n      <system-out>${escapeXml(step.output)}</system-out>` : '';
+    if (step.status === 'skipped') {
+      return `    <testcase ${attributes}>\n      <skipped/>\n    </testcase>`;
+    }
+    if (step.status === 'passed') {
+      return `    <testcase ${attributes}>${output}\n    </testcase>`;
+    }
+    return `    <testcase ${attributes}>\n      <failure message="${escapeXml(describeFailure(step))}"/>${output}\n    </testcase>`;
+  };
+
+  const testSuite = (result) => {
+    const count = (status) => result.steps.filter(step => step.status === status).length;
+    return [
+      `  <testsuite name="${escapeXml(result.template)}" tests="${result.steps.length}" failures="${count('failed') + count('timeout')}" skipped="${count('skipped')}" time="${seconds(result.duration)}">`,
+      ...result.steps.map(step => testCase(result, step)),
+      '  </testsuite>',
+    ].join('\n');
+  };
+
+  const tests = report.results.reduce((sum, result) => sum + result.steps.length, 0);
+  const failures = report.results.reduce((sum, result) => sum + result.steps.filter(step => ['failed', 'timeout'].includes(step.status)).length, 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`verify ${report.source}`)}" tests="${tests}" failures="${failures}" time="${seconds(report.duration)}">`,
+    ...report.results.map(testSuite),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  VERIFY_SCRIPTS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_STEP_TIMEOUT,
+  verifyTemplates,
+  describeFailure,
+  formatJUnitReport,
+};
@@ -0,0 +1,197 @@
+const path = require("path");
+const YAML = require('yaml');
+const { matchesGlobs } = require('./glob');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// Top-level fields that only make sense inside the monorepo
+const MONOREPO_FIELDS = ['workspaces', 'overrides', 'resolutions'];
+
+// Nested fields that only make sense inside the monorepo, e.g. patches living
+// at the repository root or a volta config extending the root package.json
+const MONOREPO_NESTED_FIELDS = {
+  pnpm: ['overrides', 'patchedDependencies'],
+  volta: ['extends'],
+};
+
+// The packages `--sdk-version` applies to
+const isSdkPackage = (name) => /^@builder\.io\/(sdk(-[\w-]+)?|react|angular|vue|gatsby)$/.test(name);
+
+// The Builder SDK packages a template depends on through the workspace
+function getSdkDependencies(packageJson) {
+  const names = DEPENDENCY_FIELDS.flatMap(field => Object.entries(packageJson[field] || {})
+    .filter(([name, spec]) => isSdkPackage(name) && String(spec).startsWith('workspace:'))
+    .map(([name]) => name));
+  return [...new Set(names)];
+}
+
+// Scripts like `node ../../scripts/build.js` that reach outside the template
+const isMonorepoScript = (command) => /(^|[\s'"=:])\.\.[/\\]/.test(command);
+
+// Reads the workspace globs and catalogs from the root of the repository the
+// templates come from, and the name and version of every package they match.
+// Returns null when the source isn't part of a workspace.
+async function loadWorkspace(source) {
+  if (!source?.listManifests) {
+    return null;
+  }
+
+  const readOptional = (filePath) => source.readRepoFile(filePath).then(content => content.toString(), () => null);
+  const [rootManifest, pnpmWorkspaceFile] = await Promise.all([
+    readOptional('package.json'),
+    readOptional('pnpm-workspace.yaml'),
+  ]);
+
+  const rootPackage = rootManifest ? JSON.parse(rootManifest) : {};
+  const pnpmWorkspace = (pnpmWorkspaceFile && YAML.parse(pnpmWorkspaceFile)) || {};
+  // npm, yarn and bun accept either a list of globs or an object with `packages`
+  const rootWorkspaces = Array.isArray(rootPackage.workspaces) ? { packages: rootPackage.workspaces } : rootPackage.workspaces || {};
+
+  const globs = [...(pnpmWorkspace.packages || []), ...(rootWorkspaces.packages || [])];
+  if (globs.length === 0) {
+    return null;
+  }
+
+  const manifestPaths = (await source.listManifests())
+    .filter(manifestPath => manifestPath !== 'package.json' && matchesGlobs(path.posix.dirname(manifestPath), globs));
+
+  const packages = new Map();
+  await Promise.all(manifestPaths.map(async manifestPath => {
+    const manifest = JSON.parse((await source.readRepoFile(manifestPath)).toString());
+    if (manifest.name) {
+      packages.set(manifest.name, { version: manifest.version, private: Boolean(manifest.private) });
+    }
+  }));
+
+  return {
+    packages,
+    catalogs: {
+      ...rootPackage.catalogs,
+      ...rootWorkspaces.catalogs,
+      ...pnpmWorkspace.catalogs,
+      default: { ...rootPackage.catalog, ...rootWorkspaces.catalog, ...pnpmWorkspace.catalog },
+    },
+  };
+}
+
+// `workspace:*` publishes as the exact version, `workspace:^` and
+// `workspace:~` as a range on it, and anything else as the range given
+function resolveWorkspaceRange(range, version) {
+  if (range === '*' || range === '') return version;
+  if (range === '^' || range === '~') return `${range}${version}`;
+  return range;
+}
+
+// What a `workspace:` or `catalog:` dependency becomes outside the monorepo.
+// Returns the version to use, null to drop the dependency, or undefined to
+// leave it as it is, along with a warning when something had to be guessed.
+function resolveDependency(name, spec, { workspace, sdkVersion, sdkVersions }) {
+  if (spec.startsWith('catalog:')) {
+    const catalogName = spec.slice('catalog:'.length) || 'default';
+    const version = workspace?.catalogs[catalogName]?.[name];
+    if (version) {
+      return { version };
+    }
+    const reason = workspace ? `${name} is not in the "${catalogName}" catalog` : `Could not look up the catalog version of ${name}`;
+    return { version: 'latest', warning: `${reason}, using latest` };
+  }
+
+  if (!spec.startsWith('workspace:')) {
+    return {};
+  }
+
+  const range = spec.slice('workspace:'.length);
+  if (isSdkPackage(name) && sdkVersions[name]) {
+    return { version: sdkVersions[name] };
+  }
+  if (isSdkPackage(name) && sdkVersion !== 'latest') {
+    return { version: sdkVersion };
+  }
+  if (!workspace && isSdkPackage(name)) {
+    return { version: sdkVersion, warning: `Could not look up the version of ${name}, using ${sdkVersion}` };
+  }
+  if (!workspace) {
+    return { version: 'latest', warning: `Could not look up the version of ${name}, using latest` };
+  }
+
+  const workspacePackage = workspace.packages.get(name);
+  if (!workspacePackage && isSdkPackage(name)) {
+    return { version: sdkVersion, warning: `${name} is not a package in the template's workspace, using ${sdkVersion}` };
+  }
+  if (!workspacePackage) {
+    return { version: null, warning: `${name} is not a package in the template's workspace, removed it` };
+  }
+  if (workspacePackage.private || !workspacePackage.version) {
+    return { version: null, warning: `${name} is private to the template's monorepo, removed it` };
+  }
+  return { version: resolveWorkspaceRange(range, workspacePackage.version) };
+}
+
+// Rewrites a template's package.json so it installs outside the monorepo:
+// workspace and catalog references become published versions, and scripts
+// and fields that point into the rest of the repository are removed.
+// `sdkVersions` pins individual SDK packages, `sdkVersion` applies to the rest.
+// Returns every change made, and warnings for the ones that were guesses.
+function rewriteManifest(packageJson, { workspace = null, sdkVersion = 'latest', sdkVersions = {} } = {}) {
+  const changes = [];
+  const warnings = [];
+
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, spec] of Object.entries(packageJson[field] || {})) {
+      if (typeof spec !== 'string') continue;
+      const { version, warning } = resolveDependency(name, spec, { workspace, sdkVersion, sdkVersions });
+      if (version === undefined) continue;
+
+      if (version === null) {
+        delete packageJson[field][name];
+      } else {
+        packageJson[field][name] = version;
+      }
+      changes.push({ field, name, from: spec, to: version });
+      if (warning) warnings.push(warning);
+    }
+    if (packageJson[field] && Object.keys(packageJson[field]).length === 0) {
+      delete packageJson[field];
+    }
+  }
+
+  if (packageJson.scripts) {
+    for (const [name, command] of Object.entries(packageJson.scripts)) {
+      // Templates are tested from the monorepo, their test scripts don't run on their own
+      if (name === 'test' || isMonorepoScript(command)) {
+        delete packageJson.scripts[name];
+        changes.push({ field: 'scripts', name, from: command, to: null });
+      }
+    }
+  }
+
+  for (const field of MONOREPO_FIELDS) {
+    if (packageJson[field] !== undefined) {
+      changes.push({ field, from: packageJson[field], to: null });
+      delete packageJson[field];
+    }
+  }
+  for (const [field, nestedFields] of Object.entries(MONOREPO_NESTED_FIELDS)) {
+    const value = packageJson[field];
+    if (!value || typeof value !== 'object') continue;
+    for (const nestedField of nestedFields) {
+      if (value[nestedField] !== undefined) {
+        changes.push({ field: `${field}.${nestedField}`, from: value[nestedField], to: null });
+        delete value[nestedField];
+      }
+    }
+    if (Object.keys(value).length === 0) {
+      delete packageJson[field];
+    }
+  }
+
+  return { changes, warnings };
+}
+
+module.exports = {
+  DEPENDENCY_FIELDS,
+  isSdkPackage,
+  getSdkDependencies,
+  loadWorkspace,
+  rewriteManifest,
+};
@@ -0,0 +1,8 @@
+import { Content, fetchOneEntry } from '@builder.io/sdk-react';
+
+const content = await fetchOneEntry({ model: 'page', apiKey: 'ee9f13b4981e489a9a1209887695ef2b' });
+const url = 'https://cdn.builder.io/api/v3/content/page?apiKey=ee9f13b4981e489a9a1209887695ef2b';
+
+export default function App() {
+  return <Content model="page" apiKey="ee9f13b4981e489a9a1209887695ef2b" content={content} />;
+}